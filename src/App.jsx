@@ -1,84 +1,312 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import "./styles.css";
+import { ALGORITHMS, getAlgorithm, createTrace, supportedOptions } from "./algorithms";
+import { TraceTrack } from "./components/TraceRows";
+import CompareGrid from "./components/CompareGrid";
+import StepLog from "./components/StepLog";
+import RaceMode from "./components/RaceMode";
+import BenchmarkMode from "./components/BenchmarkMode";
+import SandboxMode from "./components/SandboxMode";
+import IndexMode from "./components/IndexMode";
+import PlaybackBar from "./components/PlaybackBar";
+import TextInput from "./components/TextInput";
+import MatchOptions from "./components/MatchOptions";
+import GeneratorPanel from "./components/GeneratorPanel";
+import PracticePanel from "./components/PracticePanel";
+import TraceExport from "./components/TraceExport";
+import { findNextStepInSlices, findStepInSlices, validateInputs, matchesToCSV, matchesToJSON, DEFAULT_MATCH_OPTIONS, prepareInputs, createMatcher, naiveCounter } from "./core";
+import { readPermalink, decodeState, buildPermalink } from "./permalink";
+import { downloadFile } from "./download";
+import { loadProgress, saveProgress, clearProgress, recordAnswer } from "./practice";
+
+// longer match lists are truncated in the action box
+const MAX_LISTED_MATCHES = 40;
+// matching options the sandbox's compare() applies
+const SANDBOX_OPTIONS = ["ignoreCase", "wildcard"];
 
 export default function App() {
   const [text, setText] = useState("ABABDABACDABABCABAB");
   const [pattern, setPattern] = useState("ABABCABAB");
-  const [algorithm, setAlgorithm] = useState("KMP"); // KMP or BM
-  const [steps, setSteps] = useState([]);
+  const [multiline, setMultiline] = useState(false); // textarea instead of a single-line input
+  const [algorithm, setAlgorithm] = useState("KMP"); // id of an entry in ALGORITHMS
+  const [mode, setMode] = useState("single"); // single, race, benchmark, sandbox or index
+  const [options, setOptions] = useState(DEFAULT_MATCH_OPTIONS); // matching options, see core/options.js
+  const [trace, setTrace] = useState(null); // LazyTrace / ArrayTrace, steps are generated on demand
+  const [, setScanned] = useState(0); // bumped while the trace is scanned in the background
   const [pos, setPos] = useState(0);
   const [generated, setGenerated] = useState(false);
-  const [matches, setMatches] = useState([]); // start indices where pattern found
-  const [compareGrid, setCompareGrid] = useState([]); // 2D grid of comparisons text x pattern
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(600); // autoplay delay in ms per step
+  const [naive, setNaive] = useState(null); // brute force comparisons on the same input, once counted
+  const [restoreStep, setRestoreStep] = useState(null); // step to land on after restoring a permalink
+  const [linkStatus, setLinkStatus] = useState("");
+  const [practice, setPractice] = useState(false); // stop before decision steps and ask for their value
+  const [quiz, setQuiz] = useState(null); // { pos, question, given, correct }, given undefined while open
+  const [reached, setReached] = useState(0); // furthest step shown since practice mode was turned on
+  const [progress, setProgress] = useState(loadProgress); // practice score per question kind
+  const answeredRef = useRef(new Set()); // positions already asked in this trace
+  const searchRef = useRef(null); // { stopped } of the jump being searched for
   const containerRef = useRef(null);
-  
-  // Correct cell spacing from styles.css (38px width + 6px gap + 2px border)
-  const CELL_TOTAL_SPACE = 46;
+  const algo = getAlgorithm(algorithm);
+  const multiPattern = mode === "single" && Boolean(algo.multiPattern);
+  const approximate = mode === "single" && Boolean(algo.approximate);
+  const searchOptions = useMemo(() => supportedOptions(algo, options), [algo, options]);
+  const matcher = useMemo(() => createMatcher(searchOptions), [searchOptions]);
+  const sandboxOptions = useMemo(() => supportedOptions({ matchOptions: SANDBOX_OPTIONS }, options), [options]);
+  // the strings every view and builder works on (NFKC-normalized when that option is on)
+  const input = useMemo(() => prepareInputs(text, pattern, options), [text, pattern, options]);
+  const normalized = input.text !== text || input.pattern !== pattern;
+  const issues = (mode === "single" && algo.validate ? algo.validate : validateInputs)(input.text, input.pattern, searchOptions);
+  const hasError = issues.some(issue => issue.level === "error");
 
   useEffect(() => {
     // reset generated state when inputs change
     setGenerated(false);
-    setSteps([]);
+    setTrace(null);
     setPos(0);
-    setMatches([]);
-    setCompareGrid([]);
-  }, [text, pattern, algorithm]);
+    setPlaying(false);
+    setQuiz(null);
+  }, [text, pattern, algorithm, options]);
+
+  // restore inputs from a permalink once on load
+  useEffect(() => {
+    const payload = readPermalink();
+    if (!payload) return;
+    decodeState(payload).then(state => {
+      if (!state) return;
+      setText(state.text);
+      if (state.text.includes("\n")) setMultiline(true);
+      setPattern(state.pattern);
+      setAlgorithm(getAlgorithm(state.algorithm).id);
+      setOptions(state.options);
+      setMode("single");
+      setRestoreStep(state.step);
+    });
+  }, []);
+
+  // runs after the reset effect above, so the restored trace is not wiped
+  useEffect(() => {
+    if (restoreStep === null) return;
+    runTrace(restoreStep);
+    setRestoreStep(null);
+  }, [restoreStep]);
+
+  // count steps and collect matches in small slices so long inputs never block the page
+  useEffect(() => {
+    if (!trace || trace.complete) return;
+    let id;
+    const slice = () => {
+      const done = trace.scan(12);
+      setScanned(n => n + 1);
+      if (!done) id = setTimeout(slice, 0);
+    };
+    id = setTimeout(slice, 0);
+    return () => clearTimeout(id);
+  }, [trace]);
+
+  // the yardstick for "vs Naive": brute force on the same input (one pattern, exact
+  // matching only), counted in slices once the trace is complete so both are totals
+  const traceComplete = Boolean(trace?.complete);
+  useEffect(() => {
+    setNaive(null);
+    if (!traceComplete || multiPattern || approximate) return;
+    const counter = naiveCounter(input.text, input.pattern, searchOptions);
+    let id;
+    const slice = () => {
+      if (counter.scan(12)) setNaive(counter.count);
+      else id = setTimeout(slice, 0);
+    };
+    id = setTimeout(slice, 0);
+    return () => clearTimeout(id);
+  }, [trace, traceComplete]);
+
+  // a jump still being searched for is dropped once the user moves elsewhere
+  useEffect(() => () => { if (searchRef.current) searchRef.current.stopped = true; }, [trace, pos]);
+
+  const stepCount = trace ? trace.length : 0;
+  const matches = trace ? trace.matches : [];
+
+  // autoplay: advance one step per `speed` ms, stop at the end (or at a practice question)
+  useEffect(() => {
+    if (!playing) return;
+    if (!trace.at(pos + 1)) { setPlaying(false); return; }
+    const id = setTimeout(onNext, speed);
+    return () => clearTimeout(id);
+  }, [playing, pos, trace, speed, practice, quiz]);
+
+  const quizzing = practice && Boolean(algo.quiz);
+  useEffect(() => {
+    setReached(r => (quizzing ? Math.max(r, pos) : pos));
+  }, [pos, quizzing]);
+
+  // an open question belongs to the step after the one shown; moving elsewhere drops it
+  useEffect(() => {
+    setQuiz(q => (q && q.given === undefined && q.pos !== pos + 1 ? null : q));
+  }, [pos]);
+
+  // keyboard: arrows step, space plays/pauses, Home/End jump to the ends
+  useEffect(() => {
+    if (mode !== "single") return;
+    function onKey(e) {
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "SELECT" || tag === "TEXTAREA" || !trace) return;
+      if (e.key === "ArrowRight") onNext();
+      else if (e.key === "ArrowLeft") onPrev();
+      else if (e.key === "Home") setPos(0);
+      else if (e.key === "End") onEnd();
+      else if (e.key === " ") setPlaying(p => !p);
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [mode, trace, pos, practice, quiz, reached]);
+
+  // navigation; in practice mode Next stops before a decision step and asks for it first
+  function onNext() {
+    if (!trace || !trace.at(pos + 1) || (quiz && quiz.given === undefined)) return;
+    const step = trace.at(pos + 1);
+    const question = practice && algo.quiz && !answeredRef.current.has(pos + 1) ? algo.quiz(step, input.text, input.pattern, searchOptions) : null;
+    if (question) {
+      setQuiz({ pos: pos + 1, question });
+      setPlaying(false);
+      return;
+    }
+    setQuiz(null);
+    setPos(pos + 1);
+  }
+  // moves other than Next; in practice mode they stop at the furthest step shown,
+  // so every decision after it is still asked
+  function moveTo(k) {
+    setPos(quizzing ? Math.min(k, reached) : k);
+  }
 
-  // navigation
-  function onNext() { setPos(p => Math.min(p + 1, steps.length - 1)); }
   function onPrev() { setPos(p => Math.max(p - 1, 0)); }
-  function onReset() { setPos(0); }
+  function onReset() { setPos(0); setPlaying(false); }
+
+  function onEnd() {
+    // the last step is only known once the scan has reached it, so scan on in slices
+    seek(async job => {
+      while (!trace.scan(12)) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (job.stopped) return null;
+      }
+      return trace.length - 1;
+    });
+  }
+
+  // grades the open question (null reveals it) and shows the step it was about
+  function onAnswer(given) {
+    const { question } = quiz;
+    answeredRef.current.add(quiz.pos);
+    setQuiz({ ...quiz, given, correct: given === question.answer });
+    setPos(quiz.pos);
+    const next = recordAnswer(progress, question, given);
+    setProgress(next);
+    saveProgress(next);
+  }
+
+  function onResetProgress() {
+    clearProgress();
+    setProgress({});
+  }
+
+  function onTogglePlay() {
+    // restart from the beginning when pressing Play on the last step
+    if (!playing && !trace.at(pos + 1)) setPos(0);
+    setPlaying(p => !p);
+  }
+
+  async function onCopyLink() {
+    try {
+      const link = await buildPermalink({ text, pattern, algorithm, step: pos, options });
+      window.history.replaceState(null, "", link);
+      await navigator.clipboard.writeText(link);
+      setLinkStatus("Link copied");
+    } catch (err) {
+      setLinkStatus("Could not copy — link is in the address bar");
+    }
+    setTimeout(() => setLinkStatus(""), 2500);
+  }
+
+  // exports every match, so it waits for the background scan to finish
+  function onExport(format) {
+    if (!trace?.complete) return;
+    const occurrences = algo.occurrences
+      ? algo.occurrences(input.text, input.pattern, searchOptions)
+      : trace.matches.map(index => ({ index, match: input.text.slice(index, index + input.pattern.length) }));
+    const name = `matches-${algorithm.toLowerCase()}`;
+    if (format === "csv") downloadFile(`${name}.csv`, matchesToCSV(input.text, occurrences), "text/csv");
+    else downloadFile(`${name}.json`, matchesToJSON(input.text, occurrences, algorithm), "application/json");
+  }
+
+  // searches run in slices, since the step sought may lie far ahead in a long trace
+  async function seek(search) {
+    if (searchRef.current) searchRef.current.stopped = true; // the latest jump wins
+    const job = { stopped: false };
+    searchRef.current = job;
+    const stepIndex = await search(job);
+    if (searchRef.current === job) searchRef.current = null;
+    if (stepIndex !== null && stepIndex !== -1) moveTo(stepIndex);
+    return stepIndex;
+  }
+
+  function onJump(kind) {
+    seek(job => findNextStepInSlices(trace, pos, kind, job));
+  }
 
   // This function finds the step corresponding to a grid cell click
-  function jumpToComparison(textIndex, patternIndex) {
-    if (!steps.length) return; // Don't search if steps aren't generated
+  async function jumpToComparison(textIndex, patternIndex) {
+    if (!trace) return; // Don't search if steps aren't generated
 
-    // Find the index of the first step that matches this comparison
-    const stepIndex = steps.findIndex(step => 
+    // Find the index of the first step that matches this comparison and jump to it
+    const compares = step =>
       step.lastComparison?.textIndex === textIndex &&
-      step.lastComparison?.patternIndex === patternIndex
-    );
+      step.lastComparison?.patternIndex === patternIndex;
+    const stepIndex = await seek(job => findStepInSlices(trace, compares, 0, job));
 
-    // If we found a matching step (stepIndex is not -1), jump to it
-    if (stepIndex !== -1) {
-      setPos(stepIndex);
-    } else {
+    if (stepIndex === -1) {
       // This can happen if a cell is never actually compared (e.g., in BM)
       console.log(`No direct comparison step found for t[${textIndex}] vs p[${patternIndex}]`);
     }
   }
 
-  // when Run is clicked: generate compare grid, compute steps & matches, start at beginning and show matches highlighted
-  function onRun() {
-    if (!pattern) return;
-    // build static compare grid (visual grid of text[i] vs pattern[j])
-    const grid = Array.from({ length: text.length }, (_, i) =>
-      Array.from({ length: pattern.length }, (_, j) => (text[i] === pattern[j]))
-    );
-    setCompareGrid(grid);
-
-    if (algorithm === "KMP") {
-      const { steps: s, matches: m } = buildKMPSteps(text, pattern);
-      setSteps(s);
-      setMatches(m);
-    } else {
-      const { steps: s, matches: m } = buildBMSteps(text, pattern);
-      setSteps(s);
-      setMatches(m);
-    }
-    setPos(0);
+  // text cell activated: the next step comparing text[i], wrapping around to the first one
+  function jumpToText(i) {
+    if (!trace) return;
+    const compares = step => step.lastComparison?.textIndex === i;
+    seek(async job => {
+      const next = await findStepInSlices(trace, compares, pos + 1, job);
+      return next !== -1 ? next : findStepInSlices(trace, compares, 0, job);
+    });
+  }
+
+  // when Run is clicked: set up the trace (steps are generated lazily), start at beginning; matches fill in as the trace is scanned
+  function onRun() { runTrace(0); }
+
+  function runTrace(startPos) {
+    if (hasError) return;
+    const t = createTrace(algo, input.text, input.pattern, searchOptions);
+    t.scan(8); // small inputs are fully known right away
+    // a restored permalink may point past the end; at() has then read the whole trace
+    setTrace(t);
+    const start = t.at(startPos) ? startPos : Math.max(0, t.length - 1);
+    setPos(start);
+    setReached(start);
+    setPlaying(false);
     setGenerated(true);
+    setQuiz(null);
+    answeredRef.current = new Set();
   }
 
-  const current = steps[pos] || null;
-  const windowStart = current ? (current.windowStart ?? 0) : 0;
+  const current = (trace && trace.at(pos)) || null;
+  const Track = algo.Track ?? TraceTrack;
 
   // Calculate complexity metrics
-  const totalComparisons = steps.filter(s => s.lastComparison).length;
-  const worstCaseComparisons = algorithm === "KMP" 
-    ? text.length + pattern.length 
-    : text.length * pattern.length;
-  const currentComparisons = steps.slice(0, pos + 1).filter(s => s.lastComparison).length;
+  const totalComparisons = trace ? trace.totalComparisons : 0;
+  const worstCaseComparisons = algo.worstCaseComparisons(input.text.length, input.pattern.length, searchOptions);
+  const { complexity } = algo;
+  const currentComparisons = trace ? trace.comparisonsUpTo(pos) : 0;
 
   return (
     <div className="app" ref={containerRef}>
@@ -86,453 +314,254 @@ export default function App() {
 
       <div className="controls">
         <div className="inputs">
-          <label>Text
-            <input value={text} onChange={e => setText(e.target.value)} />
-          </label>
-          <label>Pattern
-            <input value={pattern} onChange={e => setPattern(e.target.value)} />
+          {mode !== "benchmark" && <>
+            <TextInput value={text} onChange={setText} multiline={multiline} onMultiline={setMultiline} />
+            <label>{multiPattern ? "Patterns (comma separated)" : "Pattern"}
+              <input value={pattern} onChange={e => setPattern(e.target.value)} />
+            </label>
+          </>}
+          <label>Mode
+            <select value={mode} onChange={e => setMode(e.target.value)}>
+              <option value="single">Single algorithm</option>
+              <option value="race">Race (side by side)</option>
+              <option value="benchmark">Benchmark (generated inputs)</option>
+              <option value="sandbox">Custom algorithm (sandbox)</option>
+              <option value="index">Index (suffix array, many queries)</option>
+            </select>
           </label>
-          <label>Algorithm
+          {mode === "single" && <label>Algorithm
             <select value={algorithm} onChange={e => setAlgorithm(e.target.value)}>
-              <option value="KMP">KMP</option>
-              <option value="BM">Boyer–Moore</option>
+              {ALGORITHMS.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
             </select>
-          </label>
+          </label>}
+          <MatchOptions
+            options={options}
+            onChange={setOptions}
+            supported={mode === "single" ? algo.matchOptions ?? [] : mode === "sandbox" ? SANDBOX_OPTIONS : mode === "index" ? [] : null}
+            algorithmName={mode === "sandbox" ? "the sandbox" : mode === "index" ? "the suffix array index" : algo.name}
+            approximate={approximate}
+            shiftRules={mode === "single" ? algo.shiftRules : null}
+          />
+          {mode !== "benchmark" && <GeneratorPanel onGenerate={g => { setText(g.text); setPattern(g.pattern); }} />}
+          {normalized && mode !== "benchmark" && (
+            <div className="input-msg info">
+              NFKC normalization changed the input; positions refer to the normalized text ({input.text.length} characters).
+            </div>
+          )}
+          {mode !== "benchmark" && issues.map((issue, i) => (
+            <div key={i} className={`input-msg ${issue.level}`} role={issue.level === "error" ? "alert" : undefined}>
+              {issue.message}
+            </div>
+          ))}
         </div>
 
-        <div className="buttons">
-          <button className="btn primary" onClick={onRun}>Run</button>
+        {mode === "single" && <div className="buttons">
+          <button className="btn primary" onClick={onRun} disabled={hasError}>Run</button>
           <button className="btn" onClick={onPrev}>Prev</button>
           <button className="btn" onClick={onNext}>Next</button>
           <button className="btn" onClick={onReset}>Reset</button>
-        </div>
+          <button className="btn" onClick={onCopyLink} title="Copy a link to this text, pattern, algorithm and step">Copy link</button>
+          <label className="inline practice-toggle" title={algo.quiz ? "Predict each decision before it is shown" : `No practice questions for ${algo.name}`}>
+            <input type="checkbox" checked={practice && Boolean(algo.quiz)} disabled={!algo.quiz} onChange={e => { setPractice(e.target.checked); setQuiz(null); }} />
+            Practice
+          </label>
+          {linkStatus && <span className="small">{linkStatus}</span>}
+        </div>}
       </div>
 
-      <div className="visual">
-        <div className="text-row">
-          {Array.from(text).map((ch, i) => {
-            const isCompare = current && current.compareIndex === i;
-            const isFoundStart = matches.includes(i);
-            return (
-              <div key={i} className={`cell ${isCompare ? (current.lastMatch ? "match" : "mismatch") : ""} ${isFoundStart ? "found" : ""}`}>
-                <div className="ch">{ch}</div>
-                <div className="idx">{i}</div>
-              </div>
-            );
-          })}
-        </div>
+      {mode === "single" && (
+        <PlaybackBar
+          pos={pos}
+          total={stepCount}
+          playing={playing}
+          speed={speed}
+          onTogglePlay={onTogglePlay}
+          onSpeed={setSpeed}
+          onSeek={moveTo}
+          onJump={onJump}
+        />
+      )}
 
-        <div className="pattern-row-wrapper">
-          <div
-            className="pattern-row"
-            style={{
-              transform: `translateX(${(windowStart) * CELL_TOTAL_SPACE}px)`,
-              transition: "transform 300ms ease"
-            }}
-          >
-            {Array.from(pattern).map((ch, j) => {
-              const textIndex = windowStart + j; 
-              const isComp = current && 
-                             current.lastComparison && 
-                             current.lastComparison.textIndex === textIndex && 
-                             current.lastComparison.patternIndex === j;
-              
-              const compClass = isComp ? (current.lastComparison.match ? "match" : "mismatch") : "";
-
-              return (
-                <div key={j} className={`cell pattern-cell ${compClass}`}>
-                  <div className="ch">{ch}</div>
-                </div>
-              );
-            })}
-          </div>
-        </div>
+      {mode === "race" && <RaceMode text={input.text} pattern={input.pattern} options={options} />}
+
+      {mode === "benchmark" && <BenchmarkMode options={options} />}
 
-        <div className="action-box">
-          <div><strong>Step:</strong> {pos + 1} / {steps.length}</div>
-          <div className="action-text">{current ? current.action : (generated ? "Finished / idle" : "Press Run to generate")}</div>
-          <div className="matches">
-            <strong>Matches:</strong> {matches.length ? matches.join(", ") : "—"}
+      {mode === "sandbox" && <SandboxMode text={input.text} pattern={input.pattern} options={sandboxOptions} disabled={hasError} />}
+
+      {mode === "index" && <IndexMode text={input.text} pattern={input.pattern} disabled={hasError} />}
+
+      {mode === "single" && <>
+        <div className="visual">
+          <Track text={input.text} pattern={input.pattern} current={current} matches={matches} options={searchOptions} onCellClick={generated ? jumpToText : undefined} />
+
+          <div className="action-box">
+            <div>
+              <strong>Step:</strong> {pos + 1} / {stepCount}{trace && !trace.complete ? "+" : ""}
+              {current?.type === "pre" && <span className="phase">Preprocessing</span>}
+            </div>
+            <div className="action-text">{current ? current.action : (generated ? "Finished / idle" : "Press Run to generate")}</div>
+            <div className="sr-only" aria-live="polite" aria-atomic="true">
+              {current && `Step ${pos + 1}: ${current.action}`}
+            </div>
+            <div className="matches">
+              <strong>Matches:</strong> {multiPattern || approximate
+                ? `${matches.length}${trace && !trace.complete ? "+" : ""}, ${multiPattern ? "listed per keyword" : "ends and costs listed"} above`
+                : (matches.length ? matches.slice(0, MAX_LISTED_MATCHES).join(", ") : "—")}
+              {!multiPattern && !approximate && matches.length > MAX_LISTED_MATCHES && ` … (+${matches.length - MAX_LISTED_MATCHES} more)`}
+            </div>
+            {generated && <div className="export-row">
+              <button className="btn small" onClick={() => onExport("csv")} disabled={!trace?.complete}>Export CSV</button>
+              <button className="btn small" onClick={() => onExport("json")} disabled={!trace?.complete}>Export JSON</button>
+              {trace && !trace.complete && <span className="tiny muted">available once every step is counted</span>}
+            </div>}
           </div>
+          {generated && <TraceExport trace={trace} algo={algo} text={input.text} pattern={input.pattern} speed={speed} />}
         </div>
-      </div>
 
-      {/* Step Log and Time Complexity side by side */}
-      <div style={{ display: 'flex', gap: '16px', marginTop: '18px' }}>
-        <div className="log-box" style={{ flex: '1', marginTop: '0', borderTop: 'none', paddingTop: '0' }}>
-          <h3>Step Log</h3>
-          <div className="log-list">
-            {steps.map((s, i) => (
-              <div key={i} className={`log-item ${i===pos ? "active" : ""}`}>
-                <div className="log-index">#{i+1}</div>
-                <div className="log-text">{s.summary}</div>
-              </div>
-            ))}
-            {!steps.length && <div className="muted">No steps — press Run</div>}
+        {practice && algo.quiz && <PracticePanel quiz={quiz} progress={progress} onAnswer={onAnswer} onResetProgress={onResetProgress} />}
+
+        {algo.Explain && <algo.Explain text={input.text} pattern={input.pattern} current={current} options={searchOptions} />}
+
+        {/* Step Log and Time Complexity side by side */}
+        <div style={{ display: 'flex', gap: '16px', marginTop: '18px' }}>
+          <div className="log-box" style={{ flex: '1', marginTop: '0', borderTop: 'none', paddingTop: '0' }}>
+            <h3>Step Log</h3>
+            <StepLog trace={trace} pos={pos} onSelect={moveTo} upTo={quizzing ? reached : null} />
           </div>
-        </div>
 
-        {/* Time Complexity Visualization */}
-        <div style={{ 
-          flex: '1', 
-          border: '1px solid #e6eef6', 
-          padding: '12px', 
-          borderRadius: '8px',
-          background: 'white'
-        }}>
-          <h3>Time Complexity</h3>
-          
-          {/* Algorithm Info */}
+          {/* Time Complexity Visualization */}
           <div style={{ 
-            background: 'linear-gradient(to right, #eef2ff, #dbeafe)', 
-            borderRadius: '8px', 
+            flex: '1', 
+            border: '1px solid #e6eef6', 
             padding: '12px', 
-            marginBottom: '12px' 
+            borderRadius: '8px',
+            background: 'white'
           }}>
-            <h4 style={{ fontSize: '16px', fontWeight: '700', color: '#3730a3', marginBottom: '8px' }}>
-              {algorithm === "KMP" ? 'KMP Algorithm' : 'Boyer–Moore Algorithm'}
-            </h4>
-            <div style={{ fontSize: '13px' }}>
-              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                <span style={{ color: '#555' }}>Best Case:</span>
-                <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#059669' }}>
-                  {algorithm === "KMP" ? 'O(n)' : 'O(n/m)'}
-                </span>
-              </div>
-              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                <span style={{ color: '#555' }}>Average Case:</span>
-                <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#2563eb' }}>
-                  {algorithm === "KMP" ? 'O(n)' : 'O(n)'}
-                </span>
-              </div>
-              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                <span style={{ color: '#555' }}>Worst Case:</span>
-                <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#dc2626' }}>
-                  {algorithm === "KMP" ? 'O(n+m)' : 'O(n·m)'}
-                </span>
-              </div>
-            </div>
-          </div>
-
-          {/* Current Execution Stats */}
-          {generated && (
-            <div style={{ background: '#f8fafc', borderRadius: '8px', padding: '12px' }}>
-              <h4 style={{ fontSize: '14px', fontWeight: '700', color: '#333', marginBottom: '12px' }}>
-                Current Execution
+            <h3>Time Complexity</h3>
+          
+            {/* Algorithm Info */}
+            <div style={{ 
+              background: 'linear-gradient(to right, #eef2ff, #dbeafe)', 
+              borderRadius: '8px', 
+              padding: '12px', 
+              marginBottom: '12px' 
+            }}>
+              <h4 style={{ fontSize: '16px', fontWeight: '700', color: '#3730a3', marginBottom: '8px' }}>
+                {algo.title ?? algo.name}
               </h4>
-              <div style={{ marginBottom: '12px' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '4px' }}>
-                  <span style={{ color: '#555' }}>Comparisons</span>
-                  <span style={{ fontWeight: '700' }}>{currentComparisons} / {totalComparisons}</span>
-                </div>
-                <div style={{ width: '100%', background: '#e5e7eb', borderRadius: '9999px', height: '8px' }}>
-                  <div
-                    style={{
-                      width: `${totalComparisons > 0 ? (currentComparisons / totalComparisons) * 100 : 0}%`,
-                      background: '#4f46e5',
-                      height: '8px',
-                      borderRadius: '9999px',
-                      transition: 'width 300ms ease'
-                    }}
-                  />
+              <div style={{ fontSize: '13px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                  <span style={{ color: '#555' }}>Best Case:</span>
+                  <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#059669' }}>
+                    {complexity.best}
+                  </span>
                 </div>
-              </div>
-
-              <div style={{ marginBottom: '12px' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '4px' }}>
-                  <span style={{ color: '#555' }}>Efficiency</span>
-                  <span style={{ fontWeight: '700' }}>
-                    {totalComparisons > 0 
-                      ? `${((1 - totalComparisons / worstCaseComparisons) * 100).toFixed(1)}%`
-                      : '0%'
-                    }
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                  <span style={{ color: '#555' }}>Average Case:</span>
+                  <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#2563eb' }}>
+                    {complexity.average}
                   </span>
                 </div>
-                <div style={{ width: '100%', background: '#e5e7eb', borderRadius: '9999px', height: '8px' }}>
-                  <div
-                    style={{
-                      width: `${totalComparisons > 0 ? ((1 - totalComparisons / worstCaseComparisons) * 100) : 0}%`,
-                      background: '#22c55e',
-                      height: '8px',
-                      borderRadius: '9999px'
-                    }}
-                  />
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ color: '#555' }}>Worst Case:</span>
+                  <span style={{ fontFamily: 'monospace', fontWeight: '700', color: '#dc2626' }}>
+                    {complexity.worst}
+                  </span>
                 </div>
               </div>
+            </div>
 
-              <div style={{ paddingTop: '8px', borderTop: '1px solid #e5e7eb' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '2px' }}>
-                  <span style={{ color: '#555' }}>Total Comparisons:</span>
-                  <span style={{ fontWeight: '700', color: '#4f46e5' }}>{totalComparisons}</span>
-                </div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '2px' }}>
-                  <span style={{ color: '#555' }}>Worst Case:</span>
-                  <span style={{ fontWeight: '700', color: '#6b7280' }}>{worstCaseComparisons}</span>
+            {/* Current Execution Stats */}
+            {generated && (
+              <div style={{ background: '#f8fafc', borderRadius: '8px', padding: '12px' }}>
+                <h4 style={{ fontSize: '14px', fontWeight: '700', color: '#333', marginBottom: '12px' }}>
+                  Current Execution
+                </h4>
+                <div style={{ marginBottom: '12px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '4px' }}>
+                    <span style={{ color: '#555' }}>Comparisons</span>
+                    <span style={{ fontWeight: '700' }}>{currentComparisons} / {totalComparisons}</span>
+                  </div>
+                  <div style={{ width: '100%', background: '#e5e7eb', borderRadius: '9999px', height: '8px' }}>
+                    <div
+                      style={{
+                        width: `${totalComparisons > 0 ? (currentComparisons / totalComparisons) * 100 : 0}%`,
+                        background: '#4f46e5',
+                        height: '8px',
+                        borderRadius: '9999px',
+                        transition: 'width 300ms ease'
+                      }}
+                    />
+                  </div>
                 </div>
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px' }}>
-                  <span style={{ color: '#555' }}>Matches Found:</span>
-                  <span style={{ fontWeight: '700', color: '#059669' }}>{matches.length}</span>
+
+                {naive > 0 && (
+                  <div style={{ marginBottom: '12px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '4px' }}>
+                      <span style={{ color: '#555' }} title="Comparisons of the brute force search on this same input">vs Naive</span>
+                      <span style={{ fontWeight: '700' }}>
+                        {`${((totalComparisons / naive) * 100).toFixed(1)}% of ${naive}`}
+                      </span>
+                    </div>
+                    <div style={{ width: '100%', background: '#e5e7eb', borderRadius: '9999px', height: '8px' }}>
+                      <div
+                        style={{
+                          width: `${Math.min(100, (totalComparisons / naive) * 100)}%`,
+                          background: totalComparisons <= naive ? '#22c55e' : '#f97316',
+                          height: '8px',
+                          borderRadius: '9999px'
+                        }}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div style={{ paddingTop: '8px', borderTop: '1px solid #e5e7eb' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '2px' }}>
+                    <span style={{ color: '#555' }}>Total Comparisons:</span>
+                    <span style={{ fontWeight: '700', color: '#4f46e5' }}>{totalComparisons}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '2px' }}>
+                    <span style={{ color: '#555' }}>Per Text Character:</span>
+                    <span style={{ fontWeight: '700', color: '#6b7280' }}>{input.text.length ? (totalComparisons / input.text.length).toFixed(2) : 0}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '2px' }}>
+                    <span style={{ color: '#555' }} title="Upper bound on search comparisons for this n and m (preprocessing not counted)">Worst-Case Bound:</span>
+                    <span style={{ fontWeight: '700', color: '#6b7280' }}>{worstCaseComparisons}</span>
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px' }}>
+                    <span style={{ color: '#555' }}>Matches Found:</span>
+                    <span style={{ fontWeight: '700', color: '#059669' }}>{matches.length}</span>
+                  </div>
                 </div>
               </div>
-            </div>
-          )}
+            )}
           
-          {!generated && (
-            <div className="muted" style={{ textAlign: 'center', padding: '24px' }}>
-              Press Run to see complexity analysis
-            </div>
-          )}
-        </div>
-      </div>
-
-      <div className="tables-and-grid">
-        <div className="tables">
-          {algorithm === "KMP" ? <KMPTable pattern={pattern} /> : <BMTable pattern={pattern} />}
-        </div>
-
-        <div className="compare-grid-box">
-          <h3>Comparison Grid (Text rows × Pattern columns)</h3>
-          {compareGrid.length ? (
-            <div className="compare-grid">
-              <div className="compare-row header">
-                <div className="compare-cell header empty" />
-                {Array.from(pattern).map((ch, j) => (
-                  <div key={j} className="compare-cell header">{ch}<div className="small">j={j}</div></div>
-                ))}
+            {!generated && (
+              <div className="muted" style={{ textAlign: 'center', padding: '24px' }}>
+                Press Run to see complexity analysis
               </div>
-              {Array.from(text).map((ch, i) => (
-                <div key={i} className="compare-row">
-                  <div className="compare-cell header">{ch}<div className="small">i={i}</div></div>
-                  {Array.from(pattern).map((_, j) => {
-                    const eq = compareGrid[i][j];
-                    const isCurrent = current && current.lastComparison && current.lastComparison.textIndex === i && current.lastComparison.patternIndex === j;
-                    return (
-                      <div 
-                        key={j} 
-                        className={`compare-cell ${eq ? "eq" : "neq"} ${isCurrent ? "current-cell" : ""} clickable`}
-                        onClick={() => jumpToComparison(i, j)}
-                        title={`Click to jump to comparison of text[${i}] vs pattern[${j}]`}
-                      >
-                        {eq ? "✓" : "✕"}
-                      </div>
-                    );
-                  })}
-                </div>
-              ))}
-            </div>
-          ) : <div className="muted">Comparison grid will appear after Run</div>}
+            )}
+          </div>
         </div>
-      </div>
-    </div>
-  );
-}
-
-/* ---------------- Helper UI components ---------------- */
 
-function KMPTable({ pattern }) {
-  const { lps, log } = computeLPS(pattern);
-  return (
-    <div className="pre-table">
-      <h3>KMP – LPS</h3>
-      <div className="lps-row">
-        {Array.from(pattern).map((ch, i) => (
-          <div key={i} className="table-cell">
-            <div className="ch">{ch}</div>
-            <div className="val">{lps[i]}</div>
+        <div className="tables-and-grid">
+          <div className="tables">
+            <algo.Table text={input.text} pattern={input.pattern} options={searchOptions} current={current} />
           </div>
-        ))}
-      </div>
-      <div className="tiny muted">
-        <strong>Preprocess Log</strong>
-        <ol>{log.map((ln,i)=><li key={i}>{ln}</li>)}</ol>
-      </div>
-    </div>
-  );
-}
 
-function BMTable({ pattern }) {
-  const bad = computeBadChar(pattern);
-  const good = computeGoodSuffix(pattern);
-  return (
-    <div className="pre-table">
-      <h3>Boyer–Moore</h3>
-      <div className="tiny"><strong>Bad Character</strong></div>
-      <div className="lps-row">
-        {Object.keys(bad).map((ch)=>(
-          <div key={ch} className="table-cell"><div className="ch">{ch}</div><div className="val">{bad[ch]}</div></div>
-        ))}
-      </div>
-      <div className="tiny mt"><strong>Good Suffix (Shift)</strong></div>
-      <div className="lps-row">
-        {good.map((v,i)=>(<div key={i} className="table-cell"><div className="ch">{i}</div><div className="val">{v}</div></div>))}
-      </div>
+          {algo.Diagram
+            ? <algo.Diagram text={input.text} pattern={input.pattern} current={current} visible={generated} options={searchOptions} onCellClick={jumpToComparison} />
+            : <CompareGrid
+                text={input.text}
+                pattern={input.pattern}
+                matcher={matcher}
+                visible={generated}
+                current={current}
+                onCellClick={jumpToComparison}
+              />}
+        </div>
+      </>}
     </div>
   );
 }
-
-/* ---------------- Algorithms and Step Builders ---------------- */
-
-/* KMP: compute LPS */
-function computeLPS(p) {
-  const n = p.length;
-  const lps = Array(n).fill(0);
-  const log = [];
-  let len = 0;
-  let i = 1;
-  while (i < n) {
-    log.push(`Compare p[${i}]='${p[i]}' with p[${len}]='${p[len]}'`);
-    if (p[i] === p[len]) {
-      len++;
-      lps[i] = len;
-      log.push(`Match -> lps[${i}] = ${len}`);
-      i++;
-    } else {
-      if (len !== 0) {
-        len = lps[len - 1];
-        log.push(`Fallback len to ${len}`);
-      } else {
-        lps[i] = 0;
-        log.push(`Set lps[${i}] = 0`);
-        i++;
-      }
-    }
-  }
-  return { lps, log };
-}
-
-/* Build KMP steps */
-function buildKMPSteps(text, pattern) {
-  const { lps, log } = computeLPS(pattern);
-  const steps = [];
-  const matches = [];
-  let i = 0, j = 0;
-  while (i < text.length) {
-    const match = text[i] === pattern[j];
-    steps.push({
-      windowStart: i - j,
-      windowEnd: i - j + pattern.length - 1,
-      compareIndex: i,
-      lastComparison: { textIndex: i, patternIndex: j, match },
-      lastMatch: match,
-      action: `Compare text[${i}]='${text[i]}' with pattern[${j}]='${pattern[j]}'`,
-      summary: match ? `Match at text[${i}] & pattern[${j}]` : `Mismatch at text[${i}] & pattern[${j}]`
-    });
-    if (match) {
-      i++; j++;
-      if (j === pattern.length) {
-        const start = i - j;
-        matches.push(start);
-        steps.push({
-          windowStart: start,
-          windowEnd: start + pattern.length - 1,
-          action: `Pattern found at ${start}`,
-          summary: `Pattern occurs at ${start}`
-        });
-        j = lps[j - 1] ?? 0;
-      }
-    } else {
-      if (j !== 0) {
-        const oldj = j;
-        j = lps[j - 1] ?? 0;
-        steps.push({
-          action: `Mismatch -> fallback j from ${oldj} to ${j}`,
-          summary: `Fallback j to ${j}`,
-          windowStart: i - j,
-          windowEnd: i - j + pattern.length - 1
-        });
-      } else {
-        steps.push({ action: `Mismatch and j=0 -> i++`, summary: `Increment i` });
-        i++;
-      }
-    }
-  }
-  steps.push({ action: "Search complete", summary: "Search finished." });
-  return { steps, matches };
-}
-
-/* Boyer-Moore preprocessing: bad char and good suffix */
-/* bad char: last occurrence */
-function computeBadChar(p) {
-  const bad = {};
-  for (let i = 0; i < p.length; i++) bad[p[i]] = i;
-  return bad;
-}
-
-/* good suffix from standard algorithm (computes shift for every position) */
-function computeGoodSuffix(p) {
-  const m = p.length;
-  const suff = Array(m).fill(0);
-  // suffixes length of longest suffix starting at i that is also a prefix ???
-  // We'll compute full good-suffix shift table (standard two-pass method)
-  const shift = Array(m + 1).fill(m);
-  const borderPos = Array(m + 1).fill(0);
-  let i = m, j = m + 1;
-  borderPos[i] = j;
-  while (i > 0) {
-    while (j <= m && p[i - 1] !== p[j - 1]) {
-      if (shift[j] === m) shift[j] = j - i;
-      j = borderPos[j];
-    }
-    i--; j--;
-    borderPos[i] = j;
-  }
-  j = borderPos[0];
-  for (i = 0; i <= m; i++) {
-    if (shift[i] === m) shift[i] = j;
-    if (i === j) j = borderPos[j];
-  }
-  // return array of length m+1; for visualization we return first m entries (shift for j+1 index used in algorithm)
-  return shift.slice(0, m + 1);
-}
-
-/* Build Boyer-Moore steps with Bad Character + Good Suffix */
-function buildBMSteps(text, pattern) {
-  const bad = computeBadChar(pattern);
-  const good = computeGoodSuffix(pattern);
-  const steps = [];
-  const matches = [];
-  const n = text.length, m = pattern.length;
-  let s = 0; // shift
-  while (s <= n - m) {
-    let j = m - 1;
-    steps.push({ windowStart: s, windowEnd: s + m - 1, action: `Align pattern at s=${s}`, summary: `Window [${s}, ${s + m - 1}]`});
-    while (j >= 0 && pattern[j] === text[s + j]) {
-      steps.push({
-        windowStart: s,
-        windowEnd: s + m - 1,
-        compareIndex: s + j,
-        lastComparison: { textIndex: s + j, patternIndex: j, match: true },
-        lastMatch: true,
-        action: `Match at text[${s + j}] & pattern[${j}]`,
-        summary: `Match at text[${s + j}] & pattern[${j}]`
-      });
-      j--;
-    }
-    if (j < 0) {
-      matches.push(s);
-      steps.push({ windowStart: s, windowEnd: s + m - 1, action: `Pattern found at ${s}`, summary: `Pattern occurs at ${s}` });
-      // shift by good[0]
-      const shift = good[0] ?? 1;
-      steps.push({ action: `Shift after match by ${shift}`, summary: `Shift to ${s + shift}`, windowStart: s + shift });
-      s += shift;
-    } else {
-      steps.push({
-        windowStart: s, windowEnd: s + m - 1,
-        compareIndex: s + j,
-        lastComparison: { textIndex: s + j, patternIndex: j, match: false },
-        lastMatch: false,
-        action: `Mismatch at text[${s + j}] & pattern[${j}]`,
-        summary: `Mismatch at text[${s + j}] & pattern[${j}]`
-      });
-      const badChar = text[s + j];
-      const lastOcc = bad[badChar] !== undefined ? bad[badChar] : -1;
-      const bcShift = Math.max(1, j - lastOcc);
-      const gsShift = good[j + 1] ?? m;
-      const shift = Math.max(bcShift, gsShift);
-      steps.push({ action: `Bad Character shift ${bcShift}, Good Suffix shift ${gsShift} -> use ${shift}`, summary: `Shift from ${s} to ${s + shift}`, windowStart: s + shift });
-      s += shift;
-    }
-  }
-  steps.push({ action: "Search complete", summary: "Search finished." });
-  return { steps, matches };
-}
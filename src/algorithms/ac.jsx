@@ -0,0 +1,66 @@
+/* Aho–Corasick: one automaton over a keyword list finds every keyword in a single pass. */
+import React from "react";
+import { parsePatternList, buildAutomaton, statePath, acTrace, buildACSteps, acMatches } from "../core/ahoCorasick";
+import { validatePatternList } from "../core/validate";
+import { KeywordTrack, TrieDiagram, keywordClass } from "../components/AhoCorasickView";
+
+export default {
+  id: "AC",
+  name: "Aho–Corasick (multi-pattern)",
+  title: "Aho–Corasick Algorithm",
+  order: 6,
+  multiPattern: true,
+  buildSteps: (text, pattern, options) => buildACSteps(text, parsePatternList(pattern), options),
+  trace: (text, pattern, resume, checkpoint, options) => acTrace(text, parsePatternList(pattern), resume, checkpoint, options),
+  validate: validatePatternList,
+  occurrences,
+  Table: ACTable,
+  matchOptions: ["ignoreCase"],
+  Track: KeywordTrack,
+  Diagram: TrieDiagram,
+  // M = total keyword length, z = number of occurrences
+  complexity: { best: "O(n+M+z)", average: "O(n+M+z)", worst: "O(n+M+z)" },
+  // at most one goto per character plus as many failure links as gotos taken
+  worstCaseComparisons: (n) => 2 * n
+};
+
+function occurrences(text, pattern, options) {
+  const keywords = parsePatternList(pattern);
+  return acMatches(text, keywords, options).map(({ start, keyword }) => ({ index: start, match: text.slice(start, start + keywords[keyword].length) }));
+}
+
+/* ---------------- Preprocessing table ---------------- */
+
+// only the first states are listed; large keyword lists would otherwise render one row per state
+const LISTED_STATES = 200;
+
+function ACTable({ pattern, options }) {
+  const keywords = parsePatternList(pattern);
+  const { states, order } = buildAutomaton(keywords, options);
+  const label = s => (s === 0 ? "root" : `${s} "${statePath(states, s)}"`);
+  return (
+    <div className="pre-table">
+      <h3>Aho–Corasick – States</h3>
+      <table className="state-table">
+        <thead>
+          <tr><th>State</th><th>Depth</th><th>Failure</th><th>Output</th></tr>
+        </thead>
+        <tbody>
+          {order.slice(0, LISTED_STATES).map(s => {
+            const out = [];
+            for (let t = states[s].keywords.length ? s : states[s].outputLink; t !== -1; t = states[t].outputLink) out.push(...states[t].keywords);
+            return (
+              <tr key={s}>
+                <td>{label(s)}</td>
+                <td>{states[s].depth}</td>
+                <td>{s === 0 ? "—" : label(states[s].fail)}</td>
+                <td>{out.map(k => <span key={k} className={`kw-tag ${keywordClass(k)}`}>{keywords[k]}</span>)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {states.length > LISTED_STATES && <div className="muted">First {LISTED_STATES} of {states.length} states (breadth first)</div>}
+    </div>
+  );
+}
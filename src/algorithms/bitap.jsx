@@ -0,0 +1,63 @@
+/* Bitap (Shift-And) with k mismatches: one state word per error count, updated with shifts and ANDs. */
+import React from "react";
+import { bitapTrace, buildBitapSteps, approximateMatches, maxErrorsOf, BITAP_MAX_PATTERN } from "../core/approximate";
+import { createMatcher } from "../core/options";
+import { validateApproximate } from "../core/validate";
+import { ApproxTrack, DPGrid } from "../components/ApproximateView";
+
+export default {
+  id: "BITAP",
+  name: "Bitap / Shift-And (k mismatches)",
+  title: "Bitap (Shift-And) with k Mismatches",
+  order: 8,
+  approximate: true,
+  buildSteps: buildBitapSteps,
+  trace: bitapTrace,
+  validate: (text, pattern, options) => validateApproximate(text, pattern, options, { substitutionsOnly: true, maxLength: BITAP_MAX_PATTERN }),
+  occurrences,
+  Table: BitapTable,
+  matchOptions: ["ignoreCase", "wildcard"],
+  Track: props => <ApproxTrack kind="bitap" {...props} />,
+  Diagram: props => <DPGrid kind="bitap" {...props} />,
+  complexity: { best: "O(n·k)", average: "O(n·k)", worst: "O(n·k)" },
+  // one mask lookup per text character, for m ≤ word size
+  worstCaseComparisons: (n) => n
+};
+
+function occurrences(text, pattern, options) {
+  return approximateMatches("bitap", text, pattern, options).map(({ end, cost }) => {
+    const start = end - pattern.length + 1;
+    return { index: start, match: text.slice(start, end + 1), end, cost };
+  });
+}
+
+/* ---------------- Preprocessing table ---------------- */
+
+function BitapTable({ pattern, options }) {
+  const k = maxErrorsOf(options);
+  const matcher = createMatcher(options);
+  const m = pattern.length;
+  // one mask per distinct (folded) pattern character; '?' wildcards set their bit in every mask
+  const chars = [...new Set([...pattern].filter(c => !matcher.isWildcard(c)).map(matcher.key))];
+  const bits = test => [...pattern].map(p => (test(p) ? "1" : "0")).reverse().join("");
+  const mask = c => bits(p => matcher.equal(c, p));
+  return (
+    <div className="pre-table">
+      <h3>Bitap – character masks</h3>
+      <div className="tiny">
+        Bit j of mask(c) is set when c matches pattern[j] (bit 0 on the right). Per text character:
+        R0 = ((R0 ≪ 1) | 1) & mask, Rd = (((Rd ≪ 1) | 1) & mask) | ((Rd−1 ≪ 1) | 1).
+        A match with d mismatches ends where bit m−1 of Rd is set (k = {k}).
+      </div>
+      {m > BITAP_MAX_PATTERN
+        ? <div className="muted">Patterns are limited to {BITAP_MAX_PATTERN} characters.</div>
+        : <table className="state-table">
+            <thead><tr><th>c</th><th>mask(c)</th></tr></thead>
+            <tbody>
+              {chars.map(c => <tr key={c}><td>{c}</td><td>{mask(c)}</td></tr>)}
+              <tr><td className="muted">other</td><td>{bits(matcher.isWildcard)}</td></tr>
+            </tbody>
+          </table>}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+/* Boyer–Moore: right-to-left window scan with Bad Character + Good Suffix shifts. */
+import React, { useMemo } from "react";
+import { bmPreprocessTrace, bmTrace, buildBMSteps, SHIFT_RULES } from "../core/bm";
+import { PreRow, patternHead, appliedSteps, buildingStep } from "../components/PreprocessView";
+import { bmQuestion } from "../core/quiz";
+import BMShiftPanel from "../components/BMShiftPanel";
+
+export default {
+  id: "BM",
+  name: "Boyer–Moore",
+  title: "Boyer–Moore Algorithm",
+  order: 2,
+  buildSteps: buildBMSteps,
+  trace: bmTrace,
+  preprocess: bmPreprocessTrace,
+  Table: BMTable,
+  Explain: BMShiftPanel,
+  shiftRules: SHIFT_RULES,
+  quiz: bmQuestion,
+  matchOptions: ["ignoreCase", "wildcard"],
+  complexity: { best: "O(n/m)", average: "O(n)", worst: "O(n·m)" },
+  worstCaseComparisons: (n, m) => n * m
+};
+
+/* ---------------- Preprocessing table ---------------- */
+
+function BMTable({ pattern, options, current }) {
+  // only the tables of the selected shift rule
+  const steps = useMemo(() => [...bmPreprocessTrace(pattern, options)], [pattern, options]);
+  const badSteps = steps.filter(step => step.table === "bad-character");
+  const goodSteps = steps.filter(step => step.table === "good-suffix");
+  const horspool = options.shiftRule === "horspool";
+  const badStep = buildingStep(current, "bad-character");
+  const goodStep = buildingStep(current, "good-suffix");
+  const m = pattern.length;
+
+  const bad = new Map();
+  for (const { set } of badSteps.slice(0, appliedSteps(badSteps, current, "bad-character"))) bad.set(set.key, set.value);
+  const shift = [];
+  const borderPos = [];
+  for (const { set } of goodSteps.slice(0, appliedSteps(goodSteps, current, "good-suffix", ["bad-character"]))) {
+    if (set) (set.array === "shift" ? shift : borderPos)[set.index] = set.value;
+  }
+  // the wildcard variant has no border passes
+  const borders = goodSteps.some(step => step.set?.array === "borderPos");
+  const gsHead = k => <>{k}<span className="muted"> {patternHead(pattern)(k)}</span></>;
+
+  const rule = options.shiftRule ?? "both";
+  const showBad = rule !== "good-suffix";
+  const showGood = rule === "both" || rule === "good-suffix";
+
+  return (
+    <div className="pre-table">
+      <h3>Boyer–Moore{rule !== "both" && <span className="muted"> ({SHIFT_RULES.find(r => r.id === rule)?.label})</span>}</h3>
+      {showBad && <>
+        <div className="tiny">
+          {horspool
+            ? <><strong>Horspool</strong> (last occurrence in p[0..m−2]; shift = m−1−last)</>
+            : <><strong>Bad Character</strong> (last occurrence)</>}
+        </div>
+        {badStep && (
+          <PreRow count={horspool ? m - 1 : m} head={patternHead(pattern)} values={Array.from({ length: m }, (_, k) => k)} pointers={{ i: badStep.i }} />
+        )}
+        <div className="lps-row">
+          {[...bad].map(([ch, value]) => (
+            <div key={ch} className={`table-cell ${badStep?.set.key === ch ? "pre-set" : ""}`}>
+              <div className="ch">{ch}</div>
+              <div className="val">{value}</div>
+              {horspool && <div className="val tiny" title="Horspool shift">→{m - 1 - value}</div>}
+            </div>
+          ))}
+        </div>
+      </>}
+      {showGood && <>
+        <div className="tiny mt"><strong>Good Suffix (Shift)</strong> shift[q] after p[q..] matched</div>
+        <PreRow
+          count={m + 1}
+          head={gsHead}
+          values={shift}
+          pointers={goodStep && (borders ? { i: goodStep.i, j: goodStep.j } : { q: goodStep.i })}
+          setIndex={goodStep?.set?.array === "shift" ? goodStep.set.index : undefined}
+        />
+        {borders && <>
+          <div className="tiny mt"><strong>borderPos</strong> start of the widest border of p[i..]</div>
+          <PreRow
+            count={m + 1}
+            head={gsHead}
+            values={borderPos}
+            setIndex={goodStep?.set?.array === "borderPos" ? goodStep.set.index : undefined}
+          />
+        </>}
+        {goodStep && borders && <div className="tiny muted">Pass {goodStep.pass} of 2</div>}
+      </>}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+/* ---------------- Algorithm registry ----------------
+   Every *.jsx file in this folder default-exports a descriptor:
+     id                    unique key, used as the <select> value
+     name                  label in the Algorithm dropdown
+     title                 heading of the Time Complexity panel
+     order                 optional sort position in the dropdown
+     buildSteps(text, pattern, options) -> { steps, matches }
+     trace                 optional step generator (text, pattern, resume, checkpoint, options),
+                           lets long inputs be stepped lazily (see core/lazy.js)
+     Table                 preprocessing panel, rendered as <Table text pattern options current />
+     complexity            { best, average, worst } strings
+     worstCaseComparisons(n, m, options) -> number, upper bound on the search's
+                           comparisons (preprocessing not counted), shown in the Time
+                           Complexity panel and drawn in benchmark mode
+   Optional:
+     matchOptions          matching options the builders honour besides normalize
+                           (["ignoreCase", "wildcard"]); the others are turned off
+     preprocess(pattern, options) -> iterator of "pre" steps (core/trace.js) played
+                           before the search; Table receives the current step to follow them
+     Explain               panel below the text row explaining the current step,
+                           <Explain text pattern current options /> (renders null when idle)
+     shiftRules            [{ id, label }] choices for options.shiftRule (Boyer–Moore)
+     quiz(step, text, pattern, options) -> question or null: practice mode asks it before
+                           showing the step (see core/quiz.js)
+   For algorithms that do not fit the one-pattern views:
+     multiPattern          true if the Pattern field holds a comma separated
+                           keyword list (such algorithms are left out of race mode)
+     approximate           true if matches may differ from the pattern by up to
+                           options.maxErrors (also left out of race mode)
+     validate(text, pattern, options) -> issues, replaces core validateInputs
+     Track                 replaces the text/pattern row, <Track text pattern current matches options />
+     Diagram               replaces the comparison grid,
+                           <Diagram text pattern current visible options onCellClick />
+     occurrences(text, pattern, options) -> [{ index, match, ...extra fields }] for the match export
+   Dropping a new file here is enough to make it selectable. */
+
+import { LazyTrace, ArrayTrace, MATCH_FLAGS, preprocessedTrace } from "../core";
+
+const REQUIRED = ["id", "name", "buildSteps", "Table", "complexity", "worstCaseComparisons"];
+
+function validate(descriptor, file) {
+  const missing = REQUIRED.filter(key => descriptor[key] === undefined);
+  if (missing.length) {
+    throw new Error(`Algorithm module ${file} is missing: ${missing.join(", ")}`);
+  }
+  return descriptor;
+}
+
+const modules = import.meta.glob("./*.jsx", { eager: true });
+
+export const ALGORITHMS = Object.entries(modules)
+  .filter(([, mod]) => mod.default)
+  .map(([file, mod]) => validate(mod.default, file))
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name));
+
+const ids = new Set();
+for (const algo of ALGORITHMS) {
+  if (ids.has(algo.id)) throw new Error(`Duplicate algorithm id "${algo.id}"`);
+  ids.add(algo.id);
+}
+
+export function getAlgorithm(id) {
+  return ALGORITHMS.find(algo => algo.id === id) ?? ALGORITHMS[0];
+}
+
+/* Matching options with the flags `algo` cannot honour switched off */
+export function supportedOptions(algo, options) {
+  const out = { ...options };
+  for (const name of unsupportedFlags(algo, MATCH_FLAGS)) out[name] = false;
+  return out;
+}
+
+/* Which of `flags` algo ignores (normalize is applied to the inputs, so every algorithm has it) */
+export function unsupportedFlags(algo, flags) {
+  const supported = algo.matchOptions ?? [];
+  return flags.filter(name => name !== "normalize" && !supported.includes(name));
+}
+
+/* Random-access trace for the UI, starting with the preprocessing steps if
+   the algorithm has any: lazy when the algorithm has a generator.
+   `options` should already be limited with supportedOptions. */
+export function createTrace(algo, text, pattern, options) {
+  const preprocess = () => (algo.preprocess ? algo.preprocess(pattern, options) : []);
+  if (algo.trace) {
+    return new LazyTrace((resume, checkpoint) =>
+      preprocessedTrace(preprocess, () => algo.trace(text, pattern, resume, checkpoint, options), resume));
+  }
+  const { steps, matches } = algo.buildSteps(text, pattern, options);
+  return new ArrayTrace([...preprocess(), ...steps], matches);
+}
@@ -0,0 +1,57 @@
+/* Knuth–Morris–Pratt: LPS table lets the text pointer never move backwards. */
+import React, { useMemo } from "react";
+import { lpsTrace, kmpTrace, buildKMPSteps } from "../core/kmp";
+import { kmpQuestion } from "../core/quiz";
+import { PreRow, patternHead, appliedSteps, buildingStep } from "../components/PreprocessView";
+
+export default {
+  id: "KMP",
+  name: "KMP",
+  title: "KMP Algorithm",
+  order: 1,
+  buildSteps: buildKMPSteps,
+  trace: kmpTrace,
+  preprocess: lpsTrace,
+  Table: KMPTable,
+  quiz: kmpQuestion,
+  matchOptions: ["ignoreCase", "wildcard"],
+  complexity: { best: "O(n)", average: "O(n)", worst: "O(n+m)" },
+  // each comparison raises 2i - j by at least 1, so at most 2n; '?' borders are
+  // re-checked, moving i back, which leaves only the per-window bound of m
+  worstCaseComparisons: (n, m, options) => (options?.wildcard ? n * m : 2 * n)
+};
+
+/* ---------------- Preprocessing table ---------------- */
+
+function KMPTable({ pattern, options, current }) {
+  const steps = useMemo(() => [...lpsTrace(pattern, options)], [pattern, options]);
+  const count = appliedSteps(steps, current, "lps");
+  const step = buildingStep(current, "lps");
+  const lps = [];
+  const verified = steps[0]?.set?.verified !== undefined ? [] : null;
+  for (const { set } of steps.slice(0, count)) {
+    if (!set) continue;
+    lps[set.index] = set.value;
+    if (verified) verified[set.index] = set.verified;
+  }
+  return (
+    <div className="pre-table">
+      <h3>KMP – LPS</h3>
+      <PreRow
+        count={pattern.length}
+        head={patternHead(pattern)}
+        values={lps}
+        second={verified}
+        pointers={step && (verified ? { i: step.i } : { i: step.i, len: step.len })}
+        setIndex={step?.set?.index}
+        compare={step?.match !== undefined ? { at: [step.i, step.len], match: step.match } : null}
+      />
+      {verified && <div className="tiny muted">Second row: how much of each border is certain to match; the rest lines up with a '?' and is compared again.</div>}
+      <div className="tiny muted">
+        {step
+          ? `Building the table: step ${step.seq + 1} of ${steps.length}. i walks the pattern, len is the border being extended.`
+          : `Built in ${steps.length} steps, played at the start of the trace before the search.`}
+      </div>
+    </div>
+  );
+}
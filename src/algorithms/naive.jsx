@@ -0,0 +1,33 @@
+/* Naive: every alignment is checked left to right, no preprocessing. */
+import React from "react";
+import { naiveTrace, buildNaiveSteps } from "../core/naive";
+
+export default {
+  id: "NAIVE",
+  name: "Naive (brute force)",
+  title: "Naive (Brute Force)",
+  order: 5,
+  buildSteps: buildNaiveSteps,
+  trace: naiveTrace,
+  Table: NaiveTable,
+  matchOptions: ["ignoreCase", "wildcard"],
+  complexity: { best: "O(n)", average: "O(n·m)", worst: "O(n·m)" },
+  worstCaseComparisons: (n, m) => n * m
+};
+
+/* ---------------- Preprocessing table ---------------- */
+
+function NaiveTable({ text, pattern }) {
+  const windows = Math.max(0, text.length - pattern.length + 1);
+  return (
+    <div className="pre-table">
+      <h3>Naive – Brute Force</h3>
+      <div className="tiny">No preprocessing: every alignment s = 0 … n−m is checked left to right.</div>
+      <div className="lps-row">
+        <div className="table-cell"><div className="ch">n</div><div className="val">{text.length}</div></div>
+        <div className="table-cell"><div className="ch">m</div><div className="val">{pattern.length}</div></div>
+        <div className="table-cell"><div className="ch">windows</div><div className="val">{windows}</div></div>
+      </div>
+    </div>
+  );
+}
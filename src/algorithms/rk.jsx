@@ -0,0 +1,42 @@
+/* Rabin–Karp: rolling hash per window, characters verified only on a hash hit. */
+import React from "react";
+import { computeRKHashes, rkTrace, buildRKSteps } from "../core/rk";
+
+export default {
+  id: "RK",
+  name: "Rabin–Karp",
+  title: "Rabin–Karp Algorithm",
+  order: 3,
+  buildSteps: buildRKSteps,
+  trace: rkTrace,
+  Table: RKTable,
+  matchOptions: ["ignoreCase"],
+  complexity: { best: "O(n+m)", average: "O(n+m)", worst: "O(n·m)" },
+  worstCaseComparisons: (n, m) => n * m
+};
+
+/* ---------------- Preprocessing table ---------------- */
+
+// only the first windows are listed; long texts would otherwise render one cell per window
+const LISTED_WINDOWS = 200;
+
+function RKTable({ text, pattern, options }) {
+  const { base, mod, patternHash, windowHashes, windowCount } = computeRKHashes(text, pattern, LISTED_WINDOWS, options);
+  return (
+    <div className="pre-table">
+      <h3>Rabin–Karp – Rolling Hash</h3>
+      <div className="tiny">base = {base}, mod = {mod}, pattern hash = <strong>{patternHash}</strong></div>
+      <div className="tiny mt"><strong>Window Hashes</strong></div>
+      <div className="lps-row">
+        {windowHashes.map((h, s) => (
+          <div key={s} className={`table-cell ${h === patternHash ? "hash-hit" : ""}`}>
+            <div className="ch">s={s}</div>
+            <div className="val">{h}</div>
+          </div>
+        ))}
+      </div>
+      {windowCount > windowHashes.length && <div className="muted">First {windowHashes.length} of {windowCount} windows</div>}
+      {!windowHashes.length && <div className="muted">Pattern is longer than text</div>}
+    </div>
+  );
+}
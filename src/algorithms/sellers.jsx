@@ -0,0 +1,57 @@
+/* Sellers: edit-distance DP where a match may start anywhere, reporting every end within k edits. */
+import React from "react";
+import { sellersTrace, buildSellersSteps, approximateMatches, alignEnding, maxErrorsOf } from "../core/approximate";
+import { validateApproximate } from "../core/validate";
+import { ApproxTrack, DPGrid } from "../components/ApproximateView";
+
+export default {
+  id: "SELLERS",
+  name: "Sellers (k differences)",
+  title: "Sellers' Algorithm (approximate matching)",
+  order: 7,
+  approximate: true,
+  buildSteps: buildSellersSteps,
+  trace: sellersTrace,
+  validate: (text, pattern, options) => validateApproximate(text, pattern, options),
+  occurrences,
+  Table: SellersTable,
+  matchOptions: ["ignoreCase", "wildcard"],
+  Track: props => <ApproxTrack kind="sellers" {...props} />,
+  Diagram: props => <DPGrid kind="sellers" {...props} />,
+  complexity: { best: "O(n·m)", average: "O(n·m)", worst: "O(n·m)" },
+  // every cell of the n × m matrix compares one character pair
+  worstCaseComparisons: (n, m) => n * m
+};
+
+function occurrences(text, pattern, options) {
+  return approximateMatches("sellers", text, pattern, options).map(({ end, cost }) => {
+    const { start } = alignEnding("sellers", text, pattern, end, options);
+    return { index: start, match: text.slice(start, end + 1), end, cost };
+  });
+}
+
+/* ---------------- Preprocessing table ---------------- */
+
+function SellersTable({ pattern, options }) {
+  const k = maxErrorsOf(options);
+  return (
+    <div className="pre-table">
+      <h3>Sellers – k differences</h3>
+      <div className="tiny">
+        D[i][j] = min(D[i−1][j−1] + (text[i] ≠ pattern[j]), D[i−1][j] + 1, D[i][j−1] + 1).
+        The row above the text is D[−1][j] = j + 1 and D[i][−1] = 0, so a match may start at any position.
+        A match ends at i when D[i][m−1] ≤ k.
+      </div>
+      <div className="lps-row">
+        <div className="table-cell"><div className="ch">k</div><div className="val">{k}</div></div>
+        <div className="table-cell"><div className="ch">m</div><div className="val">{pattern.length}</div></div>
+      </div>
+      <div className="tiny mt"><strong>Row above the text (D[−1][j])</strong></div>
+      <div className="lps-row">
+        {[...pattern].map((ch, j) => (
+          <div key={j} className="table-cell"><div className="ch">{ch}</div><div className="val">{j + 1}</div></div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+/* Z-algorithm: Z-box construction over pattern$text. */
+import React from "react";
+import { computeZ, zTrace, buildZSteps } from "../core/z";
+import { createMatcher } from "../core/options";
+
+export default {
+  id: "Z",
+  name: "Z-algorithm",
+  title: "Z-Algorithm",
+  order: 4,
+  buildSteps: buildZSteps,
+  trace: zTrace,
+  Table: ZTable,
+  matchOptions: ["ignoreCase"],
+  complexity: { best: "O(n+m)", average: "O(n+m)", worst: "O(n+m)" },
+  // each text-part comparison either extends the Z-box or ends a window
+  worstCaseComparisons: (n, m) => Math.max(0, 2 * n - m + 1)
+};
+
+/* ---------------- Preprocessing table ---------------- */
+
+// only the start of pattern$text is listed; Z values there only need m more characters
+const LISTED_TEXT = 200;
+
+function ZTable({ text, pattern, options }) {
+  const { key } = createMatcher(options);
+  const combined = pattern + "$" + text.slice(0, LISTED_TEXT + pattern.length);
+  const z = computeZ(Array.from(combined, key), pattern.length);
+  const shown = Math.min(combined.length, pattern.length + 1 + LISTED_TEXT);
+  return (
+    <div className="pre-table">
+      <h3>Z-Array over pattern$text</h3>
+      <div className="lps-row">
+        {z.slice(0, shown).map((_, i) => (
+          <div key={i} className={`table-cell ${z[i] === pattern.length && i > pattern.length ? "hash-hit" : ""}`}>
+            <div className="ch">{combined[i]}</div>
+            <div className="val">{i === 0 ? "—" : z[i]}</div>
+          </div>
+        ))}
+      </div>
+      {text.length > LISTED_TEXT && <div className="muted">First {LISTED_TEXT} of {text.length} text positions</div>}
+      <div className="tiny">Z[i] = length of the longest substring starting at i that is also a prefix. Z[i] = {pattern.length} marks a match.</div>
+    </div>
+  );
+}
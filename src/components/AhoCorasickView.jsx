@@ -0,0 +1,219 @@
+import React, { useRef, useEffect, useMemo } from "react";
+import { useViewport, visibleRange, scrollIntoRange, useSegment } from "./virtual";
+import { CELL_TOTAL_SPACE, displayChar } from "./TraceRows";
+import { parsePatternList, buildAutomaton, acMatches } from "../core";
+
+// number of .kw-N colors in styles.css; keywords beyond it reuse them
+export const KEYWORD_COLORS = 8;
+const MAX_TRACK_CELLS = 100000;
+const MAX_LISTED_PER_KEYWORD = 20;
+// larger tries are listed in the state table only
+const MAX_DRAWN_STATES = 300;
+const NODE_RADIUS = 16;
+const X_GAP = 48;
+const Y_GAP = 72;
+const PAD = 32;
+
+export function keywordClass(k) {
+  return `kw-${k % KEYWORD_COLORS}`;
+}
+
+/* Occurrences of every keyword plus, per text cell, the keyword of the last
+   occurrence covering it (-1 if none) */
+function useOccurrences(text, pattern, options) {
+  return useMemo(() => {
+    const keywords = parsePatternList(pattern);
+    const occurrences = acMatches(text, keywords, options);
+    const owner = new Int32Array(text.length).fill(-1);
+    for (const { start, keyword } of occurrences) owner.fill(keyword, start, start + keywords[keyword].length);
+    return { keywords, occurrences, owner };
+  }, [text, pattern, options]);
+}
+
+/* Text row for multi-pattern search: occurrences are colored per keyword,
+   the text spelled by the current automaton state is underlined and the
+   character being consumed is marked like a comparison. The keyword list
+   with its occurrences follows the row. */
+export function KeywordTrack({ text, pattern, current, options }) {
+  const viewportRef = useRef(null);
+  const view = useViewport(viewportRef);
+  const { keywords, occurrences, owner } = useOccurrences(text, pattern, options);
+  const focus = current ? (current.compareIndex ?? current.windowEnd ?? 0) : 0;
+  const { base, size } = useSegment(text.length, focus, MAX_TRACK_CELLS);
+
+  useEffect(() => {
+    scrollIntoRange(viewportRef.current, "x", focus - base, focus - base, CELL_TOTAL_SPACE, 6);
+  }, [focus, base]);
+
+  const [first, last] = visibleRange(view.left, view.width, CELL_TOTAL_SPACE, size);
+  const cells = [];
+  for (let k = first; k < last; k++) {
+    const i = base + k;
+    const isCompare = current && current.compareIndex === i;
+    const inState = current && current.type !== "done" && i >= current.windowStart && i <= current.windowEnd;
+    const foundNow = current?.type === "found" && inState;
+    cells.push(
+      <div
+        key={i}
+        className={[
+          "cell",
+          owner[i] >= 0 ? `kw ${keywordClass(owner[i])}` : "",
+          isCompare ? (current.lastMatch ? "match" : "mismatch") : "",
+          inState ? "in-state" : "",
+          foundNow ? "found" : ""
+        ].join(" ")}
+        style={{ left: k * CELL_TOTAL_SPACE }}
+      >
+        <div className="ch">{displayChar(text[i])}</div>
+        <div className="idx">{i}</div>
+      </div>
+    );
+  }
+
+  const byKeyword = keywords.map(() => []);
+  for (const { start, keyword } of occurrences) byKeyword[keyword].push(start);
+
+  return (
+    <>
+      <div className="track" ref={viewportRef}>
+        <div className="track-inner single-row" style={{ width: size * CELL_TOTAL_SPACE }}>
+          <div className="text-row">{cells}</div>
+        </div>
+      </div>
+      <ul className="keyword-list">
+        {keywords.map((keyword, k) => (
+          <li key={k}>
+            <span className={`swatch ${keywordClass(k)}`} />
+            <strong>"{keyword}"</strong>
+            <span className="muted"> — {byKeyword[k].length} {byKeyword[k].length === 1 ? "match" : "matches"}</span>
+            {byKeyword[k].length > 0 && `: ${byKeyword[k].slice(0, MAX_LISTED_PER_KEYWORD).join(", ")}`}
+            {byKeyword[k].length > MAX_LISTED_PER_KEYWORD && ` … (+${byKeyword[k].length - MAX_LISTED_PER_KEYWORD} more)`}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+/* x, y of every state: leaves take consecutive columns in insertion order,
+   inner states sit above the middle of their children */
+function layoutTrie(states) {
+  const pos = states.map(() => ({ x: 0, y: 0 }));
+  let column = 0;
+  (function place(s) {
+    pos[s].y = PAD + states[s].depth * Y_GAP;
+    const children = [...states[s].next.values()];
+    if (!children.length) {
+      pos[s].x = PAD + column++ * X_GAP;
+      return;
+    }
+    children.forEach(place);
+    pos[s].x = (pos[children[0]].x + pos[children[children.length - 1]].x) / 2;
+  })(0);
+  const depth = Math.max(...states.map(s => s.depth));
+  return { pos, width: 2 * PAD + Math.max(column - 1, 0) * X_GAP, height: 2 * PAD + depth * Y_GAP + 20 };
+}
+
+/* Curved link between two states, trimmed to the node circles */
+function curve(a, b, bend) {
+  const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const cx = mx - (dy / len) * bend, cy = my + (dx / len) * bend;
+  const trim = (p) => {
+    const d = Math.hypot(cx - p.x, cy - p.y) || 1;
+    return { x: p.x + ((cx - p.x) / d) * NODE_RADIUS, y: p.y + ((cy - p.y) / d) * NODE_RADIUS };
+  };
+  const s = trim(a), e = trim(b);
+  return `M${s.x},${s.y} Q${cx},${cy} ${e.x},${e.y}`;
+}
+
+/* Trie of the keyword list with goto edges, failure links (dashed; links to
+   the root are left out) and output links (dotted). The current state and
+   the edge or link just taken are highlighted. */
+export function TrieDiagram({ pattern, current, visible, options }) {
+  const keywords = useMemo(() => parsePatternList(pattern), [pattern]);
+  const { states } = useMemo(() => buildAutomaton(keywords, options), [keywords, options]);
+  const layout = useMemo(() => (states.length <= MAX_DRAWN_STATES ? layoutTrie(states) : null), [states]);
+
+  if (!layout) {
+    return (
+      <div className="trie-box">
+        <h3>Aho–Corasick automaton</h3>
+        <div className="muted">The trie has {states.length} states, too many to draw; see the state table.</div>
+      </div>
+    );
+  }
+
+  const { pos, width, height } = layout;
+  const active = visible ? current : null;
+  const at = active?.state;
+  // output links walked from the automaton state to the reported keyword
+  const chain = new Set();
+  if (active?.type === "found") {
+    for (let s = active.from; s !== active.state && s > 0; s = states[s].outputLink) chain.add(s);
+  }
+  const edges = [], fails = [], outputs = [], nodes = [];
+  states.forEach((st, s) => {
+    if (s > 0) {
+      const p = pos[st.parent], c = pos[s];
+      const hot = active?.type === "goto" && active.state === s && active.from === st.parent;
+      edges.push(
+        <g key={s} className={`trie-edge ${hot ? "active" : ""}`}>
+          <line x1={p.x} y1={p.y + NODE_RADIUS} x2={c.x} y2={c.y - NODE_RADIUS} markerEnd="url(#ac-arrow-goto)" />
+          <text x={(p.x + c.x) / 2 + 6} y={(p.y + c.y) / 2}>{displayChar(st.char)}</text>
+        </g>
+      );
+    }
+    const failHot = active?.type === "fail" && active.from === s;
+    if (s > 0 && (st.fail !== 0 || failHot)) {
+      fails.push(
+        <path key={s} className={`trie-fail ${failHot ? "active" : ""}`} d={curve(pos[s], pos[st.fail], 28)} markerEnd="url(#ac-arrow-fail)" />
+      );
+    }
+    if (st.outputLink > 0) {
+      const outHot = chain.has(s);
+      outputs.push(
+        <path key={s} className={`trie-output ${outHot ? "active" : ""}`} d={curve(pos[s], pos[st.outputLink], -22)} markerEnd="url(#ac-arrow-output)" />
+      );
+    }
+    nodes.push(
+      <g key={s} className={`trie-node ${at === s ? "current" : ""} ${active?.from === s ? "from" : ""}`}>
+        <circle cx={pos[s].x} cy={pos[s].y} r={NODE_RADIUS} />
+        {st.keywords.length > 0 && <circle className="terminal" cx={pos[s].x} cy={pos[s].y} r={NODE_RADIUS - 4} />}
+        <text x={pos[s].x} y={pos[s].y + 4}>{s}</text>
+        {st.keywords.map((k, n) => (
+          <text key={k} className={`trie-keyword ${keywordClass(k)}`} x={pos[s].x} y={pos[s].y + NODE_RADIUS + 14 + n * 13}>
+            {keywords[k]}
+          </text>
+        ))}
+      </g>
+    );
+  });
+
+  return (
+    <div className="trie-box">
+      <h3>Aho–Corasick automaton</h3>
+      <div className="trie-legend small">
+        <span className="goto">— goto edge</span>
+        <span className="fail">- - failure link (links to the root omitted)</span>
+        <span className="output">··· output link</span>
+      </div>
+      <div className="trie-scroll">
+        <svg width={Math.max(width, 2 * PAD)} height={height} className="trie">
+          <defs>
+            {["goto", "fail", "output"].map(kind => (
+              <marker key={kind} id={`ac-arrow-${kind}`} className={`trie-arrow ${kind}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M0,0 L10,5 L0,10 z" />
+              </marker>
+            ))}
+          </defs>
+          {edges}
+          {fails}
+          {outputs}
+          {nodes}
+        </svg>
+      </div>
+    </div>
+  );
+}
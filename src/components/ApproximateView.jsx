@@ -0,0 +1,160 @@
+import React, { useRef, useEffect, useMemo } from "react";
+import { useViewport, visibleRange, scrollIntoRange, useSegment } from "./virtual";
+import { CELL_TOTAL_SPACE, displayChar } from "./TraceRows";
+import CompareGrid from "./CompareGrid";
+import { DPRows, approximateMatches, maxErrorsOf } from "../core";
+
+const MAX_TRACK_CELLS = 100000;
+const MAX_LISTED_MATCHES = 20;
+const OP_CLASSES = { match: "align-match", substitute: "align-sub", insert: "align-ins" };
+const OP_TITLES = { match: "matches", substitute: "substituted", insert: "extra text character" };
+
+/* Text row for approximate search: every match end carries its cost, and
+   while a "found" step is shown its alignment is colored per edit operation
+   (a missing pattern character marks the text cell it would precede). The
+   list of match ends follows the row. */
+export function ApproxTrack({ kind, text, pattern, current, options }) {
+  const viewportRef = useRef(null);
+  const view = useViewport(viewportRef);
+  const ends = useMemo(() => approximateMatches(kind, text, pattern, options), [kind, text, pattern, options]);
+  const costAt = useMemo(() => new Map(ends.map(({ end, cost }) => [end, cost])), [ends]);
+  const alignment = useMemo(() => {
+    const ops = new Map();
+    if (current?.type !== "found") return ops;
+    let missing = [];
+    for (const o of current.alignment) {
+      if (o.op === "delete") missing.push(pattern[o.patternIndex]);
+      else {
+        ops.set(o.textIndex, { op: o.op, missing });
+        missing = [];
+      }
+    }
+    // pattern characters missing after the last text character
+    if (missing.length) ops.set(current.end, { ...(ops.get(current.end) ?? { op: "match" }), trailing: missing });
+    return ops;
+  }, [current, pattern]);
+  const focus = current ? (current.compareIndex ?? current.windowEnd ?? 0) : 0;
+  const { base, size } = useSegment(text.length, focus, MAX_TRACK_CELLS);
+
+  useEffect(() => {
+    scrollIntoRange(viewportRef.current, "x", focus - base, focus - base, CELL_TOTAL_SPACE, 6);
+  }, [focus, base]);
+
+  const [first, last] = visibleRange(view.left, view.width, CELL_TOTAL_SPACE, size);
+  const cells = [];
+  for (let k = first; k < last; k++) {
+    const i = base + k;
+    const isCompare = current && current.type !== "found" && current.compareIndex === i;
+    const aligned = alignment.get(i);
+    const cost = costAt.get(i);
+    const notes = [];
+    if (aligned) notes.push(OP_TITLES[aligned.op]);
+    if (aligned?.missing.length) notes.push(`pattern '${aligned.missing.join("")}' missing before it`);
+    if (aligned?.trailing) notes.push(`pattern '${aligned.trailing.join("")}' missing after it`);
+    if (cost !== undefined) notes.push(`a match with cost ${cost} ends here`);
+    cells.push(
+      <div
+        key={i}
+        className={[
+          "cell",
+          isCompare ? (current.lastMatch ? "match" : "mismatch") : "",
+          aligned ? `aligned ${OP_CLASSES[aligned.op]}` : "",
+          aligned?.missing.length || aligned?.trailing ? "align-del" : "",
+          cost !== undefined ? "match-end" : ""
+        ].join(" ")}
+        style={{ left: k * CELL_TOTAL_SPACE }}
+        title={notes.join("; ") || undefined}
+      >
+        <div className="ch">{displayChar(text[i])}</div>
+        <div className="idx">{i}</div>
+        {cost !== undefined && <div className="cost-badge">{cost}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="track" ref={viewportRef}>
+        <div className="track-inner single-row" style={{ width: size * CELL_TOTAL_SPACE }}>
+          <div className="text-row">{cells}</div>
+        </div>
+      </div>
+      <div className="approx-list small">
+        <strong>Match ends (cost):</strong>{" "}
+        {ends.length ? ends.slice(0, MAX_LISTED_MATCHES).map(({ end, cost }) => `${end} (${cost})`).join(", ") : "—"}
+        {ends.length > MAX_LISTED_MATCHES && ` … (+${ends.length - MAX_LISTED_MATCHES} more)`}
+        <span className="align-legend">
+          <span className="align-match">match</span>
+          <span className="align-sub">substitution</span>
+          <span className="align-ins">extra text char</span>
+          <span className="align-del">missing pattern char</span>
+        </span>
+      </div>
+    </>
+  );
+}
+
+/* Cells of the alignment path of a "found" step, as "i,j" keys */
+function alignmentPath(step, m) {
+  const cells = new Set();
+  if (step?.type !== "found") return cells;
+  let i = step.end, j = m - 1;
+  for (let q = step.alignment.length - 1; q >= 0; q--) {
+    if (i >= 0) cells.add(`${i},${j}`);
+    const { op } = step.alignment[q];
+    if (op !== "delete") i--;
+    if (op !== "insert") j--;
+  }
+  return cells;
+}
+
+/* The Sellers matrix D or the Bitap mismatch matrix H drawn on the comparison
+   grid layout: cells fill in up to the current step, values above k are
+   dimmed, the last column shows where matches end and a found step
+   highlights its alignment path. */
+export function DPGrid({ kind, text, pattern, current, visible, options, onCellClick }) {
+  const rows = useMemo(() => new DPRows(kind, text, pattern, options), [kind, text, pattern, options]);
+  const k = maxErrorsOf(options);
+  const m = pattern.length;
+  const path = useMemo(() => alignmentPath(current, m), [current, m]);
+  const at = current?.type === "done" ? { row: text.length, col: 0 } : current?.dp ?? { row: -1, col: m - 1 };
+  const filled = (i, j) => i < at.row || (i === at.row && j <= at.col);
+  const name = kind === "bitap" ? "H" : "D";
+
+  const cellInfo = (i, j) => {
+    if (!filled(i, j)) return { label: "", className: "dp empty", title: `${name}[${i}][${j}] not computed yet` };
+    const value = rows.row(i)[j];
+    const over = value > k;
+    return {
+      label: over && kind === "bitap" ? `>${k}` : value,
+      className: [
+        "dp",
+        over ? "over" : "within",
+        j === m - 1 && !over ? "dp-end" : "",
+        path.has(`${i},${j}`) ? "on-path" : ""
+      ].join(" "),
+      title: kind === "bitap"
+        ? `H[${i}][${j}] = ${over ? `more than ${k}` : value} mismatches between pattern[0..${j}] and text[${i - j}..${i}]`
+        : `D[${i}][${j}] = ${value} edits turn pattern[0..${j}] into a substring of the text ending at ${i}`
+    };
+  };
+
+  // a Bitap step computes a whole row at once; follow its last column
+  const shown = kind === "bitap" && current?.type === "bitap"
+    ? { ...current, lastComparison: { ...current.lastComparison, patternIndex: m - 1 } }
+    : current;
+
+  return (
+    <CompareGrid
+      text={text}
+      pattern={pattern}
+      visible={visible}
+      current={shown}
+      onCellClick={(i, j) => onCellClick?.(i, kind === "bitap" ? 0 : j)}
+      cellInfo={cellInfo}
+      heading={kind === "bitap"
+        ? `Mismatch matrix H (Text rows × Pattern columns, k = ${k})`
+        : `Edit distance matrix D (Text rows × Pattern columns, k = ${k})`}
+    />
+  );
+}
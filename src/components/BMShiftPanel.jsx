@@ -0,0 +1,136 @@
+import React from "react";
+import { displayChar } from "./TraceRows";
+import { goodSuffixReason } from "../core";
+
+// px per column of the panel rows
+const COL = 26;
+
+/* Candidate from the bad character or Horspool rule: the looked-up text
+   character and its last occurrence in the pattern lined up under it */
+function badCandidate(text, pattern, shift) {
+  const { textIndex, lastOccurrence: last, mismatchIndex: j, badCharacter, rule } = shift;
+  const m = pattern.length;
+  const c = `'${text[textIndex]}'`;
+  const at = last >= 0 && pattern[last] !== text[textIndex] ? `p[${last}]='${pattern[last]}'` : `p[${last}]`;
+  let note;
+  if (rule === "horspool") {
+    note = last >= 0
+      ? `${c} at text[${textIndex}] sits under the last pattern cell; it last occurs in p[0..${m - 2}] at ${at}: shift m − 1 − ${last} = ${badCharacter}`
+      : `${c} at text[${textIndex}] sits under the last pattern cell and does not occur in p[0..${m - 2}]: shift m = ${badCharacter}`;
+  } else if (last < 0) {
+    note = `Mismatched ${c} does not occur in the pattern: shift j + 1 = ${badCharacter} moves the pattern past it`;
+  } else if (last > j) {
+    note = `Mismatched ${c} last occurs at ${at}, right of the mismatch at ${j}: lining it up would move backwards, so shift 1`;
+  } else {
+    note = `Mismatched ${c} last occurs at ${at}: shift j − ${last} = ${badCharacter} puts it under text[${textIndex}]`;
+  }
+  return {
+    rule: rule === "horspool" ? "Horspool" : "Bad character",
+    shift: badCharacter,
+    // the last occurrence lines up with the character unless the shift was clamped to 1
+    marks: last >= 0 && last + badCharacter === textIndex - shift.from ? { [last]: "ghost-key" } : {},
+    note
+  };
+}
+
+/* Candidate from the good suffix rule: the matched suffix and the
+   re-occurrence or border behind good[q] */
+function goodCandidate(pattern, shift) {
+  const { mismatchIndex: j, goodSuffix: g } = shift;
+  const m = pattern.length;
+  const q = j === null ? 0 : j + 1;
+  const suffix = `"${pattern.slice(q)}"`;
+  const { kind, start, length } = goodSuffixReason(m, q, g);
+  const marks = {};
+  for (let k = start; k < start + length; k++) marks[k] = "ghost-key";
+  let note;
+  if (kind === "none") {
+    note = `Neither the matched suffix ${suffix} nor any end of it is a prefix of the pattern: shift m = ${g}`;
+  } else if (kind === "border") {
+    note = `${j === null ? "After a full match," : `The matched suffix ${suffix} does not re-occur, but`} ${length === 1 ? "its last character is" : `its last ${length} characters are`} the prefix p[0..${length - 1}]: shift m − ${length} = ${g}`;
+  } else if (q === m) {
+    if (start > 0) marks[start - 1] = "ghost-diff";
+    note = `Nothing matched yet: shift ${g} is the nearest that puts a different pattern character (p[${start - 1}]='${pattern[start - 1]}') under the mismatch`;
+  } else {
+    if (start > 0) marks[start - 1] = "ghost-diff";
+    note = `Matched suffix ${suffix} = p[${q}..${m - 1}] re-occurs at p[${start}..${start + length - 1}]` +
+      (start > 0 ? ` after '${pattern[start - 1]}', not the mismatched '${pattern[j]}'` : "") +
+      `: shift ${q} − ${start} = ${g}`;
+  }
+  return { rule: "Good suffix", shift: g, marks, note };
+}
+
+/* One row of the panel: cells for text / pattern positions placed by column */
+function PanelRow({ label, cells, className = "" }) {
+  return (
+    <div className={`bm-row ${className}`}>
+      <div className="bm-label">{label}</div>
+      <div className="bm-cells">
+        {cells.map(({ col, ch, cls }) => (
+          <div key={col} className={`bm-cell ${cls ?? ""}`} style={{ left: col * COL }}>{displayChar(ch)}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* "Explain this shift" for Boyer–Moore shift steps: the window that just
+   failed (or matched), what each enabled rule looked at, and a ghost of the
+   pattern at every candidate position with the winning one marked */
+export default function BMShiftPanel({ text, pattern, current }) {
+  if (current?.type !== "shift" || !current.shift) return null;
+  const shift = current.shift;
+  const { from, to, mismatchIndex: j } = shift;
+  const m = pattern.length;
+  const q = j === null ? 0 : j + 1;
+  const candidates = [];
+  if (shift.badCharacter !== null) candidates.push(badCandidate(text, pattern, shift));
+  if (shift.goodSuffix !== null) candidates.push(goodCandidate(pattern, shift));
+  const used = to - from;
+
+  const last = Math.max(from + m - 1, ...candidates.map(c => from + c.shift + m - 1), to + m - 1);
+  const textCells = [];
+  for (let t = from; t <= last && t < text.length; t++) {
+    const k = t - from;
+    textCells.push({
+      col: k,
+      ch: text[t],
+      cls: [k === j ? "bm-mismatch" : k >= q && k < m ? "bm-matched" : "", t === shift.textIndex ? "bm-lookup" : ""].join(" ")
+    });
+  }
+  const patternCells = (offset, marks = {}) =>
+    Array.from({ length: m }, (_, k) => ({ col: offset + k, ch: pattern[k], cls: marks[k] }));
+  const now = {};
+  for (let k = q; k < m; k++) now[k] = "bm-matched";
+  if (j !== null) now[j] = "bm-mismatch";
+
+  return (
+    <div className="bm-explain">
+      <h3>Why shift by {used}?</h3>
+      <div className="bm-scroll">
+        <div style={{ width: (last - from + 1) * COL + 120 }}>
+          <PanelRow label={`text [${from}..]`} cells={textCells} />
+          <PanelRow label={`s = ${from}`} cells={patternCells(0, now)} />
+          {candidates.map(c => (
+            <PanelRow
+              key={c.rule}
+              label={`${c.rule} → ${from + c.shift}`}
+              cells={patternCells(c.shift, c.marks)}
+              className={`ghost ${c.shift === used ? "winner" : ""}`}
+            />
+          ))}
+        </div>
+      </div>
+      <ul className="bm-notes">
+        {j === null && <li>The whole window matched{shift.rule === "bad-character" ? "; with no mismatched character the bad character rule can only move by 1" : ""}.</li>}
+        {candidates.map(c => (
+          <li key={c.rule} className={c.shift === used ? "winner" : ""}>
+            <strong>{c.rule}: {c.shift}</strong>{c.shift === used && " ✓ used"} — {c.note}
+          </li>
+        ))}
+        {candidates.length > 1 && <li>Both rules only skip positions where the pattern cannot occur, so the larger shift is taken.</li>}
+        {!candidates.length && <li>Shift by 1.</li>}
+      </ul>
+    </div>
+  );
+}
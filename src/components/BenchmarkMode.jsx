@@ -0,0 +1,185 @@
+import React, { useState, useRef, useEffect } from "react";
+import { ALGORITHMS, supportedOptions } from "../algorithms";
+import { BENCHMARK_INPUTS, benchmarkInput, benchmarkPoints, measureCounter, benchmarkToCSV } from "../core";
+import { downloadFile } from "../download";
+import LineChart from "./LineChart";
+
+// one exact pattern per input, as in race mode
+const BENCHMARKED = ALGORITHMS.filter(a => !a.multiPattern && !a.approximate);
+const COLORS = ["#2563eb", "#dc2626", "#059669", "#d97706", "#7c3aed", "#0891b2", "#db2777"];
+const MAX_N_CHOICES = [8000, 32000, 128000];
+const MAX_M_CHOICES = [32, 128, 512];
+// limits of the fixed n and m fields
+const MAX_FIXED_N = 200000;
+const MAX_FIXED_M = 1000;
+
+// whole number in 1..max from a number field
+const clamped = (value, max) => Math.min(max, Math.max(1, Math.floor(Number(value) || 1)));
+
+/* Benchmark: runs the picked algorithms over generated inputs of doubling
+   length and charts comparisons and window shifts against n (m fixed) or
+   m (n fixed). Dashed curves are each algorithm's worstCaseComparisons bound
+   and, for shifts, the n − m + 1 possible windows. Each trace is counted in
+   slices so the page stays responsive; Stop keeps what was measured. */
+export default function BenchmarkMode({ options }) {
+  const [selected, setSelected] = useState(() => BENCHMARKED.map(a => a.id));
+  const [kind, setKind] = useState("random");
+  const [sweep, setSweep] = useState("n");
+  const [fixedM, setFixedM] = useState(8);
+  const [fixedN, setFixedN] = useState(10000);
+  const [maxN, setMaxN] = useState(MAX_N_CHOICES[1]);
+  const [maxM, setMaxM] = useState(MAX_M_CHOICES[1]);
+  const [seed, setSeed] = useState(1);
+  const [logY, setLogY] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const runRef = useRef(null);
+
+  // a stale result set would mix settings; stop any run when leaving the mode
+  useEffect(() => () => { if (runRef.current) runRef.current.stopped = true; }, []);
+
+  const picked = BENCHMARKED.filter(a => selected.includes(a.id));
+  const colorOf = id => COLORS[BENCHMARKED.findIndex(a => a.id === id) % COLORS.length];
+
+  function toggle(id) {
+    setSelected(sel => sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]);
+  }
+
+  async function onRun() {
+    const run = { stopped: false };
+    runRef.current = run;
+    const points = benchmarkPoints(sweep, { n: fixedN, m: fixedM, maxN, maxM });
+    const total = points.length * picked.length;
+    const out = [];
+    setRows([]);
+    setProgress({ done: 0, total });
+    for (const { n, m } of points) {
+      if (run.stopped) break;
+      const { text, pattern } = benchmarkInput(kind, n, m, seed);
+      for (const algo of picked) {
+        if (run.stopped) break;
+        const algoOptions = supportedOptions(algo, options);
+        const counter = measureCounter(algo, text, pattern, algoOptions);
+        while (!counter.scan(12) && !run.stopped) await new Promise(resolve => setTimeout(resolve, 0));
+        if (run.stopped) break;
+        const { comparisons, shifts, preprocessing, ms } = counter;
+        out.push({ input: kind, sweep, algorithm: algo.id, n, m, comparisons, shifts, preprocessing, ms, bound: algo.worstCaseComparisons(n, m, algoOptions) });
+        setRows([...out]);
+        setProgress({ done: out.length, total });
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    if (runRef.current === run) {
+      runRef.current = null;
+      setProgress(null);
+    }
+  }
+
+  function onStop() {
+    if (runRef.current) runRef.current.stopped = true;
+    runRef.current = null;
+    setProgress(null);
+  }
+
+  function onExport() {
+    downloadFile(`benchmark-${kind}-${sweep}.csv`, benchmarkToCSV(rows), "text/csv");
+  }
+
+  const x = row => (sweep === "n" ? row.n : row.m);
+  const ids = [...new Set(rows.map(row => row.algorithm))];
+  const nameOf = id => BENCHMARKED.find(a => a.id === id)?.name ?? id;
+  const comparisonSeries = ids.flatMap(id => {
+    const own = rows.filter(row => row.algorithm === id);
+    return [
+      { name: nameOf(id), color: colorOf(id), points: own.map(row => [x(row), row.comparisons]) },
+      { name: `${nameOf(id)} bound`, color: colorOf(id), dashed: true, points: own.map(row => [x(row), row.bound]) }
+    ];
+  });
+  const windows = [...new Map(rows.map(row => [x(row), row])).values()].map(row => [x(row), Math.max(0, row.n - row.m + 1)]);
+  const shiftSeries = [
+    ...ids.map(id => ({ name: nameOf(id), color: colorOf(id), points: rows.filter(row => row.algorithm === id).map(row => [x(row), row.shifts]) })),
+    { name: "n − m + 1 windows", color: "#64748b", dashed: true, points: windows }
+  ];
+  const xLabel = sweep === "n" ? `text length n (m = ${fixedM})` : `pattern length m (n = ${fixedN})`;
+
+  return (
+    <div className="benchmark">
+      <div className="race-controls">
+        <div className="race-picks">
+          {BENCHMARKED.map(a => (
+            <label key={a.id} className="race-pick">
+              <input type="checkbox" checked={selected.includes(a.id)} onChange={() => toggle(a.id)} />
+              <span className="swatch" style={{ background: colorOf(a.id) }} />{a.name}
+            </label>
+          ))}
+        </div>
+        <div className="benchmark-settings">
+          <label>Input
+            <select value={kind} onChange={e => setKind(e.target.value)}>
+              {BENCHMARK_INPUTS.map(input => <option key={input.id} value={input.id}>{input.label}</option>)}
+            </select>
+          </label>
+          <label>Vary
+            <select value={sweep} onChange={e => setSweep(e.target.value)}>
+              <option value="n">n (text length)</option>
+              <option value="m">m (pattern length)</option>
+            </select>
+          </label>
+          {sweep === "n" ? <>
+            <label>m <input type="number" min="1" max={MAX_FIXED_M} value={fixedM} onChange={e => setFixedM(clamped(e.target.value, MAX_FIXED_M))} /></label>
+            <label>n up to
+              <select value={maxN} onChange={e => setMaxN(Number(e.target.value))}>
+                {MAX_N_CHOICES.map(v => <option key={v} value={v}>{v}</option>)}
+              </select>
+            </label>
+          </> : <>
+            <label>n <input type="number" min="1" max={MAX_FIXED_N} value={fixedN} onChange={e => setFixedN(clamped(e.target.value, MAX_FIXED_N))} /></label>
+            <label>m up to
+              <select value={maxM} onChange={e => setMaxM(Number(e.target.value))}>
+                {MAX_M_CHOICES.map(v => <option key={v} value={v}>{v}</option>)}
+              </select>
+            </label>
+          </>}
+          <label>Seed <input type="number" value={seed} onChange={e => setSeed(Math.floor(Number(e.target.value) || 0))} /></label>
+          <label className="inline"><input type="checkbox" checked={logY} onChange={e => setLogY(e.target.checked)} /> log scale</label>
+        </div>
+        <div className="buttons">
+          <button className="btn primary" onClick={onRun} disabled={!picked.length || Boolean(progress)}>Run benchmark</button>
+          <button className="btn" onClick={onStop} disabled={!progress}>Stop</button>
+          <button className="btn" onClick={onExport} disabled={!rows.length}>Export CSV</button>
+          {progress && <span className="small">Measured {progress.done} / {progress.total}</span>}
+        </div>
+      </div>
+
+      {rows.length ? (
+        <>
+          <div className="charts">
+            <LineChart title="Character comparisons" xLabel={xLabel} yLabel="comparisons" series={comparisonSeries} logY={logY} />
+            <LineChart title="Window shifts" xLabel={xLabel} yLabel="shifts" series={shiftSeries} logY={logY} />
+          </div>
+          <div className="tiny">Search comparisons only; preprocessing is listed separately (in steps). Dashed: worst-case bound per algorithm.</div>
+          <table className="race-summary benchmark-table">
+            <thead>
+              <tr><th>Algorithm</th><th>n</th><th>m</th><th>Comparisons</th><th>per char</th><th>Bound</th><th>Shifts</th><th>Preprocessing</th><th>ms</th></tr>
+            </thead>
+            <tbody>
+              {rows.map((row, k) => (
+                <tr key={k}>
+                  <td><span className="swatch" style={{ background: colorOf(row.algorithm) }} />{nameOf(row.algorithm)}</td>
+                  <td>{row.n}</td>
+                  <td>{row.m}</td>
+                  <td>{row.comparisons}</td>
+                  <td>{(row.comparisons / row.n).toFixed(2)}</td>
+                  <td>{row.bound}</td>
+                  <td>{row.shifts}</td>
+                  <td>{row.preprocessing}</td>
+                  <td>{row.ms.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : <div className="muted">Press Run benchmark to measure the picked algorithms on generated inputs</div>}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useRef, useEffect } from "react";
+import { useViewport, visibleRange, scrollIntoRange, useSegment, useRovingCell } from "./virtual";
+import { displayChar, describeChar } from "./TraceRows";
+import { createMatcher } from "../core";
+
+const PLAIN = createMatcher();
+// marks on ✓ cells that only match because of a matching option
+const OPTION_MARKS = { wildcard: "?", case: "Aa" };
+
+// .compare-cell is 44×36 (border-box) with 4px spacing on each axis
+const COL_SIZE = 48;
+const ROW_SIZE = 40;
+// text rows per rendered segment (~800k px)
+const MAX_GRID_ROWS = 20000;
+
+/* Comparison grid (Text rows × Pattern columns). Cells are computed on demand
+   with matcher.equal(text[i], pattern[j]) (plain === by default), rendered only
+   around the visible viewport, and the viewport follows the current comparison.
+   Other matrices over the same layout pass `cellInfo(i, j)` returning
+   { label, className, title } for the cell (see ApproximateView) and a `heading`.
+   Cells are a keyboard grid: arrows move, Enter or Space acts like a click. */
+export default function CompareGrid({ text, pattern, visible, current, onCellClick, matcher = PLAIN, cellInfo, heading }) {
+  const boxRef = useRef(null);
+  const view = useViewport(boxRef);
+  const cols = pattern.length;
+  const cmp = current?.lastComparison;
+  const focus = cmp ? cmp.textIndex : (current?.windowStart ?? 0);
+  const { base, size: rows } = useSegment(visible ? text.length : 0, focus, MAX_GRID_ROWS);
+  // keyboard rows are segment rows; +1 row / column for the sticky headers
+  const { containerProps, tabStop } = useRovingCell(boxRef, rows, cols, {
+    reveal: (k, j) => {
+      scrollIntoRange(boxRef.current, "y", k + 1, k + 1, ROW_SIZE, 1, false);
+      scrollIntoRange(boxRef.current, "x", j + 1, j + 1, COL_SIZE, 1, false);
+    },
+    onActivate: (k, j) => onCellClick(base + k, j)
+  });
+
+  useEffect(() => {
+    if (!cmp) return;
+    // +1 column / row for the sticky headers
+    scrollIntoRange(boxRef.current, "y", cmp.textIndex - base + 1, cmp.textIndex - base + 1, ROW_SIZE, 1);
+    scrollIntoRange(boxRef.current, "x", cmp.patternIndex + 1, cmp.patternIndex + 1, COL_SIZE, 1);
+  }, [cmp?.textIndex, cmp?.patternIndex, base]);
+
+  const [rowFirst, rowLast] = visibleRange(view.top, view.height, ROW_SIZE, rows, 4);
+  const [colFirst, colLast] = visibleRange(view.left, view.width, COL_SIZE, cols, 4);
+  const colSpacer = <div className="compare-spacer" aria-hidden="true" style={{ width: colFirst * COL_SIZE }} />;
+  const [tabRow, tabCol] = tabStop(rowFirst, rowLast, colFirst, colLast);
+  const keyProps = (k, j, label) => ({
+    role: "gridcell",
+    "data-cell": `${k},${j}`,
+    "aria-colindex": j + 2,
+    "aria-label": label,
+    tabIndex: k === tabRow && j === tabCol ? 0 : -1
+  });
+
+  const body = [];
+  for (let k = rowFirst; k < rowLast; k++) {
+    const i = base + k;
+    const cells = [];
+    for (let j = colFirst; j < colLast; j++) {
+      const isCurrent = cmp && cmp.textIndex === i && cmp.patternIndex === j;
+      if (cellInfo) {
+        const { label, className, title } = cellInfo(i, j);
+        cells.push(
+          <div key={j} {...keyProps(k, j, `text[${i}], pattern[${j}]: ${title ?? label}`)} aria-selected={isCurrent} className={`compare-cell ${className} ${isCurrent ? "current-cell" : ""} clickable`} onClick={() => onCellClick(i, j)} title={title}>
+            {label}
+          </div>
+        );
+        continue;
+      }
+      const eq = matcher.equal(text[i], pattern[j]);
+      const why = eq ? matcher.reason(text[i], pattern[j]) : null;
+      cells.push(
+        <div
+          key={j}
+          {...keyProps(k, j, `text[${i}] ${describeChar(text[i])} vs pattern[${j}] ${describeChar(pattern[j])}: ${eq ? (why ? `${why === "wildcard" ? "wildcard" : "case-insensitive"} match` : "match") : "mismatch"}`)}
+          aria-selected={isCurrent}
+          className={`compare-cell ${eq ? "eq" : "neq"} ${why ? "by-option" : ""} ${isCurrent ? "current-cell" : ""} clickable`}
+          onClick={() => onCellClick(i, j)}
+          title={`Click to jump to comparison of text[${i}] vs pattern[${j}]${why === "wildcard" ? " (wildcard match)" : why === "case" ? " (case-insensitive match)" : ""}`}
+        >
+          {eq ? "✓" : "✕"}
+          {why && <sup>{OPTION_MARKS[why]}</sup>}
+        </div>
+      );
+    }
+    body.push(
+      <div key={i} className="compare-row" role="row" aria-rowindex={i + 2}>
+        <div className="compare-cell header" role="rowheader">{displayChar(text[i])}<div className="small">i={i}</div></div>
+        {colSpacer}
+        {cells}
+      </div>
+    );
+  }
+
+  const headers = [];
+  for (let j = colFirst; j < colLast; j++) {
+    headers.push(<div key={j} className="compare-cell header" role="columnheader" aria-colindex={j + 2}>{displayChar(pattern[j])}<div className="small">j={j}</div></div>);
+  }
+
+  return (
+    <div className="compare-grid-box" ref={boxRef} {...containerProps}>
+      <h3>{heading ?? "Comparison Grid (Text rows × Pattern columns)"}</h3>
+      {rows < text.length && visible && (
+        <div className="muted">Showing text rows {base}–{base + rows - 1} of {text.length}</div>
+      )}
+      {rows ? (
+        <div
+          className="compare-grid"
+          role="grid"
+          aria-label={heading ?? "Comparison grid"}
+          aria-rowcount={text.length + 1}
+          aria-colcount={cols + 1}
+          style={{ width: (cols + 1) * COL_SIZE }}
+        >
+          <div className="compare-row header" role="row" aria-rowindex={1}>
+            <div className="compare-cell header empty" role="columnheader" aria-colindex={1} />
+            {colSpacer}
+            {headers}
+          </div>
+          <div
+            className="compare-body"
+            role="rowgroup"
+            style={{ paddingTop: rowFirst * ROW_SIZE, paddingBottom: (rows - rowLast) * ROW_SIZE }}
+          >
+            {body}
+          </div>
+        </div>
+      ) : <div className="muted">Comparison grid will appear after Run</div>}
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { SCENARIOS, DEFAULT_SCENARIO_PARAMS, generateScenario } from "../core";
+
+const MAX_TEXT = 200000;
+const MAX_LISTED_MATCHES = 30;
+
+// number field clamped to [min, max]
+function NumberField({ label, value, min, max, onChange, title }) {
+  return (
+    <label className="inline" title={title}>
+      {label}
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={value}
+        onChange={e => onChange(Math.min(max, Math.max(min, Math.floor(Number(e.target.value) || 0))))}
+      />
+    </label>
+  );
+}
+
+/* "Generate input" panel: builds a named scenario from core/generate.js with
+   a seed and planted occurrences and hands the text and pattern to
+   `onGenerate`. The positions of every occurrence are listed, so the
+   matches a run should find are known before it starts. */
+export default function GeneratorPanel({ onGenerate }) {
+  const [scenarioId, setScenarioId] = useState(SCENARIOS[0].id);
+  const [params, setParams] = useState(DEFAULT_SCENARIO_PARAMS);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const scenario = SCENARIOS.find(s => s.id === scenarioId);
+  const set = name => value => setParams(p => ({ ...p, [name]: value }));
+
+  function onClick() {
+    try {
+      const generated = generateScenario(scenarioId, params);
+      setResult({ ...generated, scenario });
+      setError("");
+      onGenerate(generated);
+    } catch (e) {
+      if (!(e instanceof RangeError)) throw e;
+      setError(e.message);
+    }
+  }
+
+  const { matches = [], planted = [] } = result ?? {};
+  const plantedSet = new Set(planted);
+
+  return (
+    <details className="generator">
+      <summary>Generate input…</summary>
+      <div className="generator-fields">
+        <label className="inline">Scenario
+          <select value={scenarioId} onChange={e => { setScenarioId(e.target.value); setResult(null); }}>
+            {SCENARIOS.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+          </select>
+        </label>
+        <NumberField label="n" title="Text length" value={params.n} min={1} max={MAX_TEXT} onChange={set("n")} />
+        <NumberField label="m" title="Pattern length" value={params.m} min={1} max={1000} onChange={set("m")} />
+        {scenario.usesAlphabetSize && (
+          <NumberField label="Alphabet" title="Number of letters (a, b, c, …)" value={params.alphabetSize} min={2} max={26} onChange={set("alphabetSize")} />
+        )}
+        {scenario.plants !== false && <>
+          <NumberField label="Occurrences" title="Copies of the pattern planted in the text" value={params.occurrences} min={0} max={1000} onChange={set("occurrences")} />
+          <label className="inline" title="Plant copies in runs that overlap by the pattern's border">
+            <input type="checkbox" checked={params.overlap} onChange={e => set("overlap")(e.target.checked)} />
+            Overlapping
+          </label>
+        </>}
+        <NumberField label="Seed" title="The same seed gives the same input" value={params.seed} min={0} max={2 ** 31 - 1} onChange={set("seed")} />
+        <button type="button" className="btn small" onClick={onClick}>Generate</button>
+      </div>
+      <div className="small">{scenario.hint}</div>
+      {error && <div className="input-msg error">{error}</div>}
+      {result && (
+        <div className="generator-result small">
+          <strong>Expected matches ({matches.length}):</strong>{" "}
+          {matches.length
+            ? matches.slice(0, MAX_LISTED_MATCHES).map((s, k) => (
+              <span key={s} className={plantedSet.has(s) || result.scenario.plants === false ? "" : "implied"}>
+                {k > 0 && ", "}{s}
+              </span>
+            ))
+            : "none"}
+          {matches.length > MAX_LISTED_MATCHES && ` … (+${matches.length - MAX_LISTED_MATCHES} more)`}
+          {result.notes.map((note, k) => <div key={k}>{note}</div>)}
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { ArrayTrace, buildSuffixIndex, querySuffixIndex, buildKMPSteps, traceStats, findNextStep } from "../core";
+import { TraceTrack } from "./TraceRows";
+import { SuffixTable } from "./SuffixArrayView";
+import StepLog from "./StepLog";
+import PlaybackBar from "./PlaybackBar";
+
+// every sorting round keeps a full order and rank array for the view
+const MAX_INDEX_TEXT = 50000;
+
+/* Index mode: builds a suffix array with LCP over the text once (the
+   construction is stepped like any trace), then answers each pattern with
+   an animated binary search. The work table compares the index (build plus
+   all queries) with rerunning buildKMPSteps for every query. `disabled` is
+   set while the pattern has errors. */
+export default function IndexMode({ text, pattern, disabled }) {
+  const [index, setIndex] = useState(null); // buildSuffixIndex result for `text`
+  const [queries, setQueries] = useState([]); // [{ pattern, result, kmp }]
+  const [shown, setShown] = useState(-1); // -1 = construction, else a query
+  const [pos, setPos] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(600);
+
+  useEffect(() => {
+    // the index belongs to one text
+    setIndex(null);
+    setQueries([]);
+    setShown(-1);
+    setPos(0);
+    setPlaying(false);
+  }, [text]);
+
+  const query = shown >= 0 ? queries[shown] : null;
+  const trace = useMemo(() => {
+    if (!index) return null;
+    return query ? new ArrayTrace(query.result.steps, query.result.matches) : new ArrayTrace(index.steps);
+  }, [index, query]);
+
+  // construction step that fills lcp[r]
+  const lcpStepOf = useMemo(() => {
+    const out = [];
+    index?.steps.forEach((step, k) => { if (step.type === "lcp") out[step.r] = k; });
+    return out;
+  }, [index]);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (!trace.at(pos + 1)) { setPlaying(false); return; }
+    const id = setTimeout(() => setPos(p => p + 1), speed);
+    return () => clearTimeout(id);
+  }, [playing, pos, trace, speed]);
+
+  function show(k) {
+    setShown(k);
+    setPos(0);
+    setPlaying(false);
+  }
+
+  function onBuild() {
+    setIndex(buildSuffixIndex(text));
+    setQueries([]);
+    show(-1);
+  }
+
+  function onQuery() {
+    const result = querySuffixIndex(index, text, pattern);
+    const kmp = traceStats(buildKMPSteps(text, pattern).steps).comparisons;
+    setQueries(qs => [...qs, { pattern, result, kmp }]);
+    show(queries.length);
+  }
+
+  function onJump(kind) {
+    const next = findNextStep(trace, pos, kind);
+    if (next !== -1) setPos(next);
+  }
+
+  const current = trace?.at(pos) ?? null;
+  const tooLong = text.length > MAX_INDEX_TEXT;
+  const buildWork = index ? index.work.sort + index.work.lcp : 0;
+  const saTotal = queries.reduce((sum, q) => sum + q.result.comparisons, 0);
+  const kmpTotal = queries.reduce((sum, q) => sum + q.kmp, 0);
+  // queries of the average cost after which the index has paid for itself
+  const perQuery = queries.length ? (kmpTotal - saTotal) / queries.length : 0;
+  const breakEven = perQuery > 0 ? Math.ceil(buildWork / perQuery) : null;
+
+  return (
+    <div className="index-mode">
+      <div className="buttons">
+        <button className="btn primary" onClick={onBuild} disabled={!text || tooLong}>{index ? "Rebuild index" : "Build index"}</button>
+        <button className="btn primary" onClick={onQuery} disabled={!index || disabled}>Query “{pattern}”</button>
+        {trace && <>
+          <button className="btn" onClick={() => setPos(p => Math.max(0, p - 1))}>Prev</button>
+          <button className="btn" onClick={() => setPos(p => Math.min(trace.length - 1, p + 1))}>Next</button>
+        </>}
+        <span className="small">
+          {tooLong
+            ? `Index mode takes texts of up to ${MAX_INDEX_TEXT.toLocaleString()} characters`
+            : index ? `Suffix array of ${text.length} suffixes; edit the pattern and query again` : "Build the index once, then query as many patterns as you like"}
+        </span>
+      </div>
+
+      {trace && <>
+        <PlaybackBar
+          pos={pos}
+          total={trace.length}
+          playing={playing}
+          speed={speed}
+          onTogglePlay={() => setPlaying(p => !p)}
+          onSpeed={setSpeed}
+          onSeek={setPos}
+          onJump={onJump}
+        />
+        <div className="visual">
+          <div className="index-view-tabs small">
+            Showing:{" "}
+            <button className={`btn small ${shown === -1 ? "active" : ""}`} onClick={() => show(-1)}>Construction</button>
+            {queries.map((q, k) => (
+              <button key={k} className={`btn small ${shown === k ? "active" : ""}`} onClick={() => show(k)}>“{q.pattern}”</button>
+            ))}
+          </div>
+          {query && (
+            <TraceTrack
+              text={text}
+              pattern={query.pattern}
+              current={current}
+              matches={current?.type === "sa-range" ? query.result.matches : []}
+            />
+          )}
+          <div className="action-box">
+            <div><strong>Step:</strong> {pos + 1} / {trace.length}</div>
+            <div className="action-text">{current?.action}</div>
+            <div className="sr-only" aria-live="polite" aria-atomic="true">{current && `Step ${pos + 1}: ${current.action}`}</div>
+          </div>
+        </div>
+
+        <div className="tables-and-grid">
+          <SuffixTable
+            text={text}
+            pattern={query?.pattern ?? ""}
+            index={index}
+            step={current}
+            lcpDone={r => query !== null || lcpStepOf[r] <= pos}
+          />
+          <div className="log-box index-log">
+            <h3>Step Log</h3>
+            <StepLog trace={trace} pos={pos} onSelect={setPos} />
+          </div>
+        </div>
+
+        <div className="index-work">
+          <h3>Work: index vs. KMP per query</h3>
+          <table className="race-summary">
+            <thead>
+              <tr><th>Query</th><th>Occurrences</th><th>Suffix array comparisons</th><th>KMP comparisons (buildKMPSteps)</th></tr>
+            </thead>
+            <tbody>
+              <tr className="muted">
+                <td>Index construction</td><td></td>
+                <td title={`${index.work.sort} rank-pair comparisons while sorting, ${index.work.lcp} character comparisons for LCP`}>{buildWork}</td>
+                <td>—</td>
+              </tr>
+              {queries.map((q, k) => (
+                <tr key={k}>
+                  <td>“{q.pattern}”</td>
+                  <td>{q.result.matches.length}</td>
+                  <td>{q.result.comparisons}</td>
+                  <td>{q.kmp}</td>
+                </tr>
+              ))}
+              <tr className="total">
+                <td>Total</td><td></td>
+                <td>{buildWork + saTotal}</td>
+                <td>{kmpTotal}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div className="small">
+            {!queries.length
+              ? "Each query adds a row; KMP rescans the whole text every time."
+              : breakEven === null
+                ? "These queries cost the index at least as much as a KMP scan, so the construction never pays off for them."
+                : `At these queries' average saving of ${perQuery.toFixed(1)} comparisons, the index pays for its construction after ${breakEven} quer${breakEven === 1 ? "y" : "ies"}${queries.length >= breakEven ? " (already reached)" : ""}.`}
+          </div>
+        </div>
+      </>}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from "react";
+
+const WIDTH = 460;
+const HEIGHT = 280;
+const PAD = { left: 64, right: 16, top: 28, bottom: 44 };
+const TICKS = 5;
+
+/* Compact number for axis labels: 1200 -> 1.2k, 3400000 -> 3.4M */
+function formatTick(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${+(v / 1e3).toFixed(1)}k`;
+  return `${+v.toFixed(1)}`;
+}
+
+/* Line chart of `series` = [{ name, color, dashed, points: [[x, y]] }].
+   x is drawn on a log2 scale (the benchmark sizes double), y linearly or,
+   with logY, on a log10 scale. Dashed series are reference curves. */
+export default function LineChart({ title, xLabel, yLabel, series, logY = false }) {
+  const all = series.flatMap(s => s.points);
+  if (!all.length) return null;
+  const xs = all.map(p => p[0]);
+  const ys = all.map(p => p[1]).filter(y => !logY || y > 0);
+  const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+  const yMax = Math.max(1, ...ys);
+  const yMin = logY ? Math.max(1, Math.min(...ys)) : 0;
+  const fx = x => Math.log2(x);
+  const fy = y => (logY ? Math.log10(Math.max(y, yMin)) : y);
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const sx = x => PAD.left + (x1 === x0 ? innerW / 2 : ((fx(x) - fx(x0)) / (fx(x1) - fx(x0))) * innerW);
+  const sy = y => PAD.top + innerH - ((fy(y) - fy(yMin)) / (fy(yMax) - fy(yMin) || 1)) * innerH;
+
+  const yTicks = [];
+  for (let k = 0; k <= TICKS; k++) {
+    const t = fy(yMin) + ((fy(yMax) - fy(yMin)) * k) / TICKS;
+    yTicks.push(logY ? 10 ** t : t);
+  }
+  const xTicks = [...new Set(xs)].sort((a, b) => a - b);
+
+  return (
+    <figure className="chart">
+      <figcaption>{title}</figcaption>
+      <svg width={WIDTH} height={HEIGHT} role="img" aria-label={title}>
+        {yTicks.map((t, k) => (
+          <g key={k} className="chart-grid">
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={sy(t)} y2={sy(t)} />
+            <text x={PAD.left - 6} y={sy(t) + 4} textAnchor="end">{formatTick(t)}</text>
+          </g>
+        ))}
+        {xTicks.map(t => (
+          <text key={t} className="chart-tick" x={sx(t)} y={HEIGHT - PAD.bottom + 16} textAnchor="middle">{formatTick(t)}</text>
+        ))}
+        <text className="chart-axis" x={PAD.left + innerW / 2} y={HEIGHT - 8} textAnchor="middle">{xLabel}</text>
+        <text className="chart-axis" transform={`translate(14 ${PAD.top + innerH / 2}) rotate(-90)`} textAnchor="middle">{yLabel}</text>
+        {series.map(s => (
+          <g key={s.name} className={`chart-series ${s.dashed ? "dashed" : ""}`} style={{ color: s.color }}>
+            <polyline points={s.points.map(([x, y]) => `${sx(x)},${sy(y)}`).join(" ")} />
+            {!s.dashed && s.points.map(([x, y]) => <circle key={x} cx={sx(x)} cy={sy(y)} r="3"><title>{`${s.name}: ${y} at ${x}`}</title></circle>)}
+          </g>
+        ))}
+      </svg>
+      <div className="chart-legend">
+        {series.map(s => (
+          <span key={s.name} className={s.dashed ? "dashed" : ""} style={{ color: s.color }}>{s.name}</span>
+        ))}
+      </div>
+    </figure>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+
+const OPTIONS = [
+  { name: "ignoreCase", label: "Ignore case", hint: "'a' matches 'A'" },
+  { name: "wildcard", label: "? wildcard", hint: "'?' in the pattern matches any single character" },
+  { name: "normalize", label: "Unicode NFKC", hint: "normalize text and pattern first; positions refer to the normalized text" }
+];
+
+// larger k makes nearly every position a match and Bitap keeps k + 1 state words
+const MAX_ERRORS = 30;
+
+/* Checkboxes for the matching options (see core/options.js). Options missing
+   from `supported` are shown disabled with `algorithmName` in the tooltip.
+   `approximate` adds the k (maximum errors) field, `shiftRules` a picker
+   for the Boyer–Moore shift rule. */
+export default function MatchOptions({ options, onChange, supported, algorithmName, approximate, shiftRules }) {
+  return (
+    <div className="match-options">
+      <span className="small">Matching:</span>
+      {OPTIONS.map(({ name, label, hint }) => {
+        const enabled = name === "normalize" || !supported || supported.includes(name);
+        return (
+          <label key={name} className="inline" title={enabled ? hint : `Not supported by ${algorithmName}`}>
+            <input
+              type="checkbox"
+              checked={enabled && options[name]}
+              disabled={!enabled}
+              onChange={e => onChange({ ...options, [name]: e.target.checked })}
+            />
+            {label}
+          </label>
+        );
+      })}
+      {approximate && (
+        <label className="inline" title="Edits (Sellers) or mismatches (Bitap) allowed per match">
+          k =
+          <input
+            type="number"
+            className="max-errors"
+            min="0"
+            max={MAX_ERRORS}
+            value={options.maxErrors}
+            onChange={e => onChange({ ...options, maxErrors: Math.min(MAX_ERRORS, Math.max(0, Math.floor(Number(e.target.value) || 0))) })}
+          />
+        </label>
+      )}
+      {shiftRules && (
+        <label className="inline" title="Which heuristic decides the shift after a mismatch">
+          Shift rule
+          <select className="shift-rule" value={options.shiftRule} onChange={e => onChange({ ...options, shiftRule: e.target.value })}>
+            {shiftRules.map(rule => <option key={rule.id} value={rule.id}>{rule.label}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+
+export const MIN_SPEED_MS = 50;
+export const MAX_SPEED_MS = 1500;
+
+/* Play/Pause, speed slider, jump buttons and a scrubber across all steps */
+export default function PlaybackBar({ pos, total, playing, speed, onTogglePlay, onSpeed, onSeek, onJump }) {
+  const disabled = total === 0;
+  return (
+    <div className="playback">
+      <button className="btn primary" onClick={onTogglePlay} disabled={disabled} title="Space">
+        {playing ? "Pause" : "Play"}
+      </button>
+      <button className="btn" onClick={() => onJump("match")} disabled={disabled}>Next match</button>
+      <button className="btn" onClick={() => onJump("mismatch")} disabled={disabled}>Next mismatch</button>
+      <button className="btn" onClick={() => onJump("shift")} disabled={disabled}>Next shift</button>
+      <label className="speed">
+        Speed
+        <input
+          type="range"
+          min={MIN_SPEED_MS}
+          max={MAX_SPEED_MS}
+          step={50}
+          // slider runs slow -> fast, so invert the delay
+          value={MAX_SPEED_MS + MIN_SPEED_MS - speed}
+          onChange={e => onSpeed(MAX_SPEED_MS + MIN_SPEED_MS - Number(e.target.value))}
+        />
+        <span className="small">{speed} ms/step</span>
+      </label>
+      <input
+        className="scrubber"
+        type="range"
+        min={0}
+        max={Math.max(total - 1, 0)}
+        value={pos}
+        onChange={e => onSeek(Number(e.target.value))}
+        disabled={disabled}
+        title="Home / End jump to the first / last step"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import { QUESTION_KINDS } from "../core";
+
+// recent mistakes listed under the score
+const MAX_LISTED_MISTAKES = 3;
+
+/* Practice mode panel: the open question with an answer field, the graded
+   answer with the reasoning once it is given, and the score per question
+   kind. `quiz` is { question, given, correct } (given undefined while open);
+   `onAnswer(number | null)` grades it, null revealing the answer. */
+export default function PracticePanel({ quiz, progress, onAnswer, onResetProgress }) {
+  const [value, setValue] = useState("");
+  const open = quiz && quiz.given === undefined;
+  const label = kind => QUESTION_KINDS.find(k => k.id === kind)?.label ?? kind;
+
+  function onSubmit(e) {
+    e.preventDefault();
+    if (value.trim() === "") return;
+    onAnswer(Math.floor(Number(value)));
+    setValue("");
+  }
+
+  const mistakes = QUESTION_KINDS.flatMap(k => progress[k.id]?.mistakes ?? []).sort((a, b) => a.at - b.at);
+
+  return (
+    <div className="practice">
+      <h3>Practice</h3>
+      {open && (
+        <form className="practice-question" onSubmit={onSubmit}>
+          <div className="practice-kind">{label(quiz.question.kind)}</div>
+          <div>{quiz.question.prompt}</div>
+          <div className="practice-answer">
+            <input type="number" value={value} onChange={e => setValue(e.target.value)} autoFocus aria-label="Your answer" />
+            <button className="btn primary small" type="submit">Check</button>
+            <button className="btn small" type="button" onClick={() => { setValue(""); onAnswer(null); }}>Show answer</button>
+          </div>
+        </form>
+      )}
+      {quiz && !open && (
+        <div className={`practice-feedback ${quiz.correct ? "right" : "wrong"}`} role="status">
+          <div className="practice-kind">{label(quiz.question.kind)}</div>
+          <strong>
+            {quiz.correct ? `Correct: ${quiz.question.answer}` : quiz.given === null ? `Answer: ${quiz.question.answer}` : `Not quite: you said ${quiz.given}, the answer is ${quiz.question.answer}`}
+          </strong>
+          <div>{quiz.question.reasoning}</div>
+        </div>
+      )}
+      {!quiz && <div className="muted">Step forward with Next or Play; the trace stops before every decision for you to predict it. Jumps, the scrubber and the step log only go as far as the furthest step shown.</div>}
+
+      <table className="practice-score">
+        <thead><tr><th>Decision</th><th>Correct</th><th>Mistakes</th></tr></thead>
+        <tbody>
+          {QUESTION_KINDS.map(({ id, label }) => {
+            const { asked = 0, correct = 0 } = progress[id] ?? {};
+            return <tr key={id}><td>{label}</td><td>{correct} / {asked}</td><td>{asked - correct}</td></tr>;
+          })}
+        </tbody>
+      </table>
+      {mistakes.length > 0 && (
+        <ul className="practice-mistakes small">
+          {mistakes.slice(-MAX_LISTED_MISTAKES).map((m, k) => (
+            <li key={k}>{m.prompt} — {m.given === null ? "revealed" : `you said ${m.given}`}, answer {m.answer}</li>
+          ))}
+        </ul>
+      )}
+      <button className="btn small" onClick={onResetProgress}>Reset progress</button>
+    </div>
+  );
+}
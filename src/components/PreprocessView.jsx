@@ -0,0 +1,52 @@
+import React from "react";
+import { displayChar } from "./TraceRows";
+
+/* How many of a table's preprocessing steps are applied at `current`: all
+   of them before Run and during the search, none while a table listed in
+   `before` is still being built, up to the current one while this table is */
+export function appliedSteps(steps, current, table, before = []) {
+  if (current?.type !== "pre") return steps.length;
+  if (current.table === table) return current.seq + 1;
+  return before.includes(current.table) ? 0 : steps.length;
+}
+
+/* The step being shown if it builds `table`, else null */
+export function buildingStep(current, table) {
+  return current?.type === "pre" && current.table === table ? current : null;
+}
+
+/* One row of table cells for positions 0..count-1. `head(k)` is the header
+   line, `values[k]` the entry (blank while undefined). While the table is
+   being built, `pointers` ({ name: position }) are drawn under their cells,
+   the entry written by the current step is highlighted and `compare`
+   ({ at: [a, b], match }) colors the two positions being compared. */
+export function PreRow({ count, head, values, second, pointers, setIndex, compare }) {
+  const names = {};
+  for (const [name, k] of Object.entries(pointers ?? {})) (names[k] = names[k] ?? []).push(name);
+  const cells = [];
+  for (let k = 0; k < count; k++) {
+    const compared = compare && compare.at.includes(k);
+    cells.push(
+      <div
+        key={k}
+        className={[
+          "table-cell",
+          k === setIndex ? "pre-set" : "",
+          compared ? (compare.match ? "pre-eq" : "pre-neq") : "",
+          values[k] === undefined ? "pending" : ""
+        ].join(" ")}
+      >
+        <div className="ch">{head(k)}</div>
+        <div className="val">{values[k] ?? "·"}</div>
+        {second && <div className="val tiny">{second[k] ?? "·"}</div>}
+        {names[k] && <div className="ptr">{names[k].join(", ")}</div>}
+      </div>
+    );
+  }
+  return <div className={`lps-row ${pointers ? "pointers" : ""}`}>{cells}</div>;
+}
+
+/* Header line for pattern position k: the character, or ∅ past the end */
+export function patternHead(pattern) {
+  return k => (k < pattern.length ? displayChar(pattern[k]) : "∅");
+}
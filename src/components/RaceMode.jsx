@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from "react";
+import { ALGORITHMS, supportedOptions, unsupportedFlags } from "../algorithms";
+import { traceStats, validateInputs, activeOptions } from "../core";
+import { TraceTrack } from "./TraceRows";
+
+const PLAY_INTERVAL_MS = 600;
+// lanes share one exact pattern, so keyword-list and approximate algorithms cannot race
+const RACERS = ALGORITHMS.filter(a => !a.multiPattern && !a.approximate);
+
+/* Build one lane per algorithm. Lanes are synchronized by comparison count:
+   at tick t every lane shows the step holding its t-th comparison, so an
+   algorithm that skips more simply reaches "Search complete" sooner. */
+function buildLane(algo, text, pattern, options) {
+  const { steps, matches } = algo.buildSteps(text, pattern, supportedOptions(algo, options));
+  // a Boyer–Moore lane races with the shift rule picked in single mode
+  const rule = algo.shiftRules?.find(r => r.id === options.shiftRule && r.id !== "both");
+  const name = rule ? `${algo.name} (${rule.label})` : algo.name;
+  const comparisonSteps = [];
+  steps.forEach((s, i) => { if (s.lastComparison) comparisonSteps.push(i); });
+  return { algo, name, steps, matches, comparisonSteps, stats: traceStats(steps) };
+}
+
+function lanePos(lane, tick) {
+  return tick < lane.comparisonSteps.length ? lane.comparisonSteps[tick] : lane.steps.length - 1;
+}
+
+/* `options` are the matching options; algorithms that cannot honour all of
+   the active ones are left out so every lane searches for the same thing. */
+export default function RaceMode({ text, pattern, options }) {
+  const [selected, setSelected] = useState(() => RACERS.map(a => a.id));
+  const [lanes, setLanes] = useState([]);
+  const [tick, setTick] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const maxTick = lanes.reduce((mx, lane) => Math.max(mx, lane.comparisonSteps.length), 0);
+
+  useEffect(() => {
+    // reset lanes when inputs change
+    setLanes([]);
+    setTick(0);
+    setPlaying(false);
+  }, [text, pattern, selected, options]);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (tick >= maxTick) { setPlaying(false); return; }
+    const id = setTimeout(() => setTick(t => Math.min(t + 1, maxTick)), PLAY_INTERVAL_MS);
+    return () => clearTimeout(id);
+  }, [playing, tick, maxTick]);
+
+  const canRace = algo => unsupportedFlags(algo, activeOptions(options)).length === 0;
+  const runnable = RACERS.filter(a => selected.includes(a.id) && canRace(a));
+
+  function toggle(id) {
+    setSelected(sel => sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]);
+  }
+
+  function onRun() {
+    if (validateInputs(text, pattern).some(issue => issue.level === "error")) return;
+    setLanes(runnable.map(a => buildLane(a, text, pattern, options)));
+    setTick(0);
+    setPlaying(false);
+  }
+
+  function onNext() { setTick(t => Math.min(t + 1, maxTick)); }
+  function onPrev() { setTick(t => Math.max(t - 1, 0)); }
+  function onReset() { setTick(0); setPlaying(false); }
+
+  const fewest = lanes.length ? Math.min(...lanes.map(l => l.stats.comparisons)) : null;
+
+  return (
+    <div className="race">
+      <div className="race-controls">
+        <div className="race-picks">
+          {RACERS.map(a => (
+            <label key={a.id} className="race-pick" title={canRace(a) ? undefined : "Does not support the active matching options"}>
+              <input type="checkbox" checked={selected.includes(a.id) && canRace(a)} disabled={!canRace(a)} onChange={() => toggle(a.id)} />
+              {a.name}
+            </label>
+          ))}
+        </div>
+        <div className="buttons">
+          <button className="btn primary" onClick={onRun} disabled={runnable.length < 2}>Run</button>
+          <button className="btn" onClick={onPrev}>Prev</button>
+          <button className="btn" onClick={() => setPlaying(p => !p)} disabled={!lanes.length}>{playing ? "Pause" : "Play"}</button>
+          <button className="btn" onClick={onNext}>Next</button>
+          <button className="btn" onClick={onReset}>Reset</button>
+        </div>
+      </div>
+      {runnable.length < 2 && <div className="muted">Pick at least two algorithms to race</div>}
+
+      {lanes.length ? (
+        <>
+          <div className="tiny"><strong>Comparison:</strong> {Math.min(tick + 1, maxTick)} / {maxTick}</div>
+          {lanes.map(lane => {
+            const p = lanePos(lane, tick);
+            const current = lane.steps[p];
+            const done = Math.min(tick + 1, lane.comparisonSteps.length);
+            return (
+              <div key={lane.algo.id} className="visual race-lane">
+                <div className="race-lane-head">
+                  <h4>{lane.name}</h4>
+                  <span className="small">Comparisons {done} / {lane.stats.comparisons}</span>
+                </div>
+                <TraceTrack text={text} pattern={pattern} current={current} matches={lane.matches} />
+                <div className="action-text">{current.action}</div>
+              </div>
+            );
+          })}
+
+          <table className="race-summary">
+            <thead>
+              <tr><th>Algorithm</th><th>Comparisons</th><th>Window shifts</th><th>Matches</th><th>Steps</th></tr>
+            </thead>
+            <tbody>
+              {lanes.map(lane => (
+                <tr key={lane.algo.id} className={lane.stats.comparisons === fewest ? "best" : ""}>
+                  <td>{lane.name}</td>
+                  <td>{lane.stats.comparisons}</td>
+                  <td>{lane.stats.shifts}</td>
+                  <td>{lane.matches.length}</td>
+                  <td>{lane.steps.length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : <div className="muted">Press Run to race the selected algorithms on the same input</div>}
+    </div>
+  );
+}
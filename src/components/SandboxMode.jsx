@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { SANDBOX_EXAMPLES, SANDBOX_MAX_CALLS, SANDBOX_TIME_LIMIT_MS, ArrayTrace, sandboxTrace, verifyMatches, traceStats, naiveCounter, findNextStep, findStep, createMatcher } from "../core";
+import { runInSandbox, loadSandboxCode, saveSandboxCode } from "../sandbox";
+import { TraceTrack } from "./TraceRows";
+import CompareGrid from "./CompareGrid";
+import StepLog from "./StepLog";
+import PlaybackBar from "./PlaybackBar";
+
+// longer position lists are truncated in the verification
+const MAX_LISTED = 30;
+const TAB = "  ";
+
+function positions(list) {
+  if (!list.length) return "none";
+  return list.slice(0, MAX_LISTED).join(", ") + (list.length > MAX_LISTED ? ` … (+${list.length - MAX_LISTED} more)` : "");
+}
+
+/* Custom algorithm sandbox: an editor for a matcher written against
+   compare / shift / report (core/sandbox.js), run in a Web Worker with the
+   call and time limits. The recorded calls play back in the usual text row,
+   step log and comparison grid, and the reported matches are checked
+   against the reference search. `options` are the matching options compare()
+   applies (ignore case, wildcard). */
+export default function SandboxMode({ text, pattern, options, disabled }) {
+  const [code, setCode] = useState(loadSandboxCode);
+  const [result, setResult] = useState(null); // { trace, verification, stats, error, truncated, timedOut }
+  const [running, setRunning] = useState(false);
+  const [pos, setPos] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(600);
+  const runRef = useRef(null);
+  const trace = result?.trace ?? null;
+
+  useEffect(() => {
+    // a trace of other inputs would be misleading; drop it and ignore a run in flight
+    if (runRef.current) runRef.current.stopped = true;
+    setResult(null);
+    setPos(0);
+    setPlaying(false);
+  }, [text, pattern, options]);
+
+  useEffect(() => () => { if (runRef.current) runRef.current.stopped = true; }, []);
+
+  useEffect(() => { saveSandboxCode(code); }, [code]);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (!trace.at(pos + 1)) { setPlaying(false); return; }
+    const id = setTimeout(() => setPos(p => p + 1), speed);
+    return () => clearTimeout(id);
+  }, [playing, pos, trace, speed]);
+
+  const matcher = useMemo(() => createMatcher(options), [options]);
+
+  async function onRun() {
+    const job = { stopped: false };
+    runRef.current = job;
+    setRunning(true);
+    const recorded = await runInSandbox(code, text, pattern, options);
+    // the brute force count to compare with, in slices so long inputs do not block the page
+    const naive = naiveCounter(text, pattern, options);
+    while (!naive.scan(12) && !job.stopped) await new Promise(resolve => setTimeout(resolve, 0));
+    if (runRef.current === job) runRef.current = null;
+    setRunning(false);
+    if (job.stopped) return;
+    const { steps, matches } = sandboxTrace(recorded.calls, text, pattern, { ...recorded, options });
+    const reported = recorded.calls.filter(call => call.op === "report").map(call => call.at);
+    setResult({
+      ...recorded,
+      trace: new ArrayTrace(steps, matches),
+      verification: verifyMatches(reported, text, pattern, options),
+      stats: { calls: recorded.calls.length, ...traceStats(steps), naive: naive.count }
+    });
+    setPos(0);
+    setPlaying(false);
+  }
+
+  // Tab indents instead of leaving the editor
+  function onKeyDown(e) {
+    if (e.key !== "Tab" || e.shiftKey) return;
+    e.preventDefault();
+    const el = e.target;
+    const { selectionStart: start, selectionEnd: end } = el;
+    setCode(c => c.slice(0, start) + TAB + c.slice(end));
+    requestAnimationFrame(() => { el.selectionStart = el.selectionEnd = start + TAB.length; });
+  }
+
+  function onJump(kind) {
+    const next = findNextStep(trace, pos, kind);
+    if (next !== -1) setPos(next);
+  }
+
+  function jumpToComparison(textIndex, patternIndex) {
+    const stepIndex = findStep(trace, step => step.lastComparison?.textIndex === textIndex && step.lastComparison?.patternIndex === patternIndex);
+    if (stepIndex !== -1) setPos(stepIndex);
+  }
+
+  function jumpToText(i) {
+    const compares = step => step.lastComparison?.textIndex === i;
+    const next = findStep(trace, compares, pos + 1);
+    const stepIndex = next !== -1 ? next : findStep(trace, compares);
+    if (stepIndex !== -1) setPos(stepIndex);
+  }
+
+  const current = trace?.at(pos) ?? null;
+  const verification = result?.verification;
+
+  return (
+    <div className="sandbox">
+      <div className="sandbox-head">
+        <label className="inline">Example
+          <select value="" onChange={e => { const ex = SANDBOX_EXAMPLES.find(x => x.id === e.target.value); if (ex) setCode(ex.code); }}>
+            <option value="">Load an example…</option>
+            {SANDBOX_EXAMPLES.map(ex => <option key={ex.id} value={ex.id}>{ex.label}</option>)}
+          </select>
+        </label>
+        <button className="btn primary" onClick={onRun} disabled={disabled || running}>{running ? "Running…" : "Run"}</button>
+        <span className="small">
+          Runs in a Web Worker without network access; stops after {SANDBOX_MAX_CALLS.toLocaleString()} calls or {SANDBOX_TIME_LIMIT_MS / 1000} s.
+        </span>
+      </div>
+      <textarea
+        className="sandbox-code"
+        value={code}
+        onChange={e => setCode(e.target.value)}
+        onKeyDown={onKeyDown}
+        spellCheck={false}
+        aria-label="Matcher code"
+        rows={14}
+      />
+      <div className="small">
+        In scope: <code>text</code>, <code>pattern</code>, <code>compare(i, j)</code> → true if text[i] matches pattern[j],{" "}
+        <code>shift(to, reason)</code> moves the window to s = to, <code>report(match)</code> declares an occurrence at text[match].
+      </div>
+
+      {result && (
+        <div className="sandbox-result">
+          {result.error && <div className="input-msg error" role="alert">{result.error}</div>}
+          {result.truncated && <div className="input-msg warning">Call limit reached: the trace shows the first {SANDBOX_MAX_CALLS.toLocaleString()} calls.</div>}
+          {!result.timedOut && (
+            <div className={`sandbox-verdict ${verification.ok ? "right" : "wrong"}`} role="status">
+              <strong>
+                {verification.ok
+                  ? `✓ Matches verified: all ${verification.expected.length} occurrence${verification.expected.length === 1 ? "" : "s"} reported`
+                  : "✕ Reported matches differ from the reference search"}
+              </strong>
+              {!verification.ok && <>
+                <div>Missed: {positions(verification.missing)}</div>
+                <div>Not occurrences: {positions(verification.extra)}</div>
+              </>}
+              {verification.repeated.length > 0 && <div>Reported more than once: {positions(verification.repeated)}</div>}
+              <div className="small">
+                {result.stats.calls} calls · {result.stats.comparisons} comparisons (naive: {result.stats.naive}) · {result.stats.shifts} window moves
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {trace && <>
+        <PlaybackBar
+          pos={pos}
+          total={trace.length}
+          playing={playing}
+          speed={speed}
+          onTogglePlay={() => setPlaying(p => !p)}
+          onSpeed={setSpeed}
+          onSeek={setPos}
+          onJump={onJump}
+        />
+        <div className="buttons sandbox-steps">
+          <button className="btn" onClick={() => setPos(p => Math.max(0, p - 1))}>Prev</button>
+          <button className="btn" onClick={() => setPos(p => Math.min(trace.length - 1, p + 1))}>Next</button>
+        </div>
+        <div className="visual">
+          <TraceTrack text={text} pattern={pattern} current={current} matches={trace.matches} onCellClick={jumpToText} />
+          <div className="action-box">
+            <div><strong>Step:</strong> {pos + 1} / {trace.length}</div>
+            <div className="action-text">{current?.action}</div>
+            <div className="sr-only" aria-live="polite" aria-atomic="true">{current && `Step ${pos + 1}: ${current.action}`}</div>
+          </div>
+        </div>
+        <div className="tables-and-grid">
+          <div className="log-box sandbox-log">
+            <h3>Step Log</h3>
+            <StepLog trace={trace} pos={pos} onSelect={setPos} />
+          </div>
+          <CompareGrid text={text} pattern={pattern} matcher={matcher} visible current={current} onCellClick={jumpToComparison} />
+        </div>
+      </>}
+    </div>
+  );
+}
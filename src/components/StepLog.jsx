@@ -0,0 +1,44 @@
+import React, { useRef, useEffect } from "react";
+import { useViewport, visibleRange, scrollIntoRange, useSegment } from "./virtual";
+
+// fixed .log-item height (border-box) + 2px spacing
+const ITEM_SIZE = 32;
+// log rows per rendered segment (~6.4M px)
+const MAX_LOG_ITEMS = 200000;
+
+/* Step Log over a trace (see core/lazy.js): only the rows in view are
+   generated and rendered; the active row stays visible. With `upTo` (practice
+   mode) later steps are left out so the log does not give answers away. */
+export default function StepLog({ trace, pos, onSelect, upTo = null }) {
+  const listRef = useRef(null);
+  const view = useViewport(listRef);
+  const total = trace ? (upTo === null ? trace.length : Math.min(trace.length, upTo + 1)) : 0;
+  const { base, size } = useSegment(total, pos, MAX_LOG_ITEMS);
+
+  useEffect(() => {
+    scrollIntoRange(listRef.current, "y", pos - base, pos - base, ITEM_SIZE, 1);
+  }, [pos, base]);
+
+  const [first, last] = visibleRange(view.top, view.height, ITEM_SIZE, size);
+  const items = [];
+  for (let k = first; k < last; k++) {
+    const i = base + k;
+    const step = trace.at(i);
+    if (!step) break;
+    items.push(
+      <div key={i} className={`log-item clickable ${i===pos ? "active" : ""} ${step.type === "pre" ? "pre" : ""}`} onClick={() => onSelect(i)}>
+        <div className="log-index">#{i+1}</div>
+        <div className="log-text">{step.summary}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="log-list" ref={listRef}>
+      <div style={{ paddingTop: first * ITEM_SIZE, paddingBottom: Math.max(0, size - last) * ITEM_SIZE }}>
+        {items}
+      </div>
+      {!total && <div className="muted">No steps — press Run</div>}
+    </div>
+  );
+}
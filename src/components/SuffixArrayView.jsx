@@ -0,0 +1,104 @@
+import React, { useRef, useEffect, useMemo } from "react";
+import { useViewport, visibleRange, scrollIntoRange } from "./virtual";
+import { displayChar } from "./TraceRows";
+
+// fixed .sa-row height (border-box)
+const ROW_SIZE = 26;
+// characters of each suffix shown
+const SHOWN = 24;
+
+function Suffix({ text, start, strong = 0, matched = 0, mismatch = -1 }) {
+  const chars = [];
+  const end = Math.min(text.length, start + SHOWN);
+  for (let k = start; k < end; k++) {
+    const d = k - start;
+    const cls = d === mismatch ? "sa-neq" : d < matched ? "sa-eq" : d < strong ? "sa-key" : "";
+    chars.push(<span key={k} className={cls}>{displayChar(text[k])}</span>);
+  }
+  return <span className="sa-suffix">{chars}{end < text.length && <span className="muted">…</span>}</span>;
+}
+
+/* Suffix array table of index mode (core/suffixArray.js) following the
+   current step: during a sorting round the suffixes in that round's order
+   with their rank pairs (the characters compared so far in bold, a line
+   between rank groups); during Kasai the LCP column filling in; during a
+   query the search range [lo, hi), the probed suffix and finally the range
+   of suffixes that start with the pattern. Only rows in view are rendered. */
+export function SuffixTable({ text, pattern, index, step, lcpDone }) {
+  const boxRef = useRef(null);
+  const view = useViewport(boxRef);
+  const n = text.length;
+  const round = step?.type === "sa-round" ? step : null;
+  const order = round ? round.order : index.sa;
+  const focus = step?.mid ?? step?.r ?? step?.lo ?? 0;
+
+  useEffect(() => {
+    scrollIntoRange(boxRef.current, "y", focus, focus, ROW_SIZE, 2);
+  }, [focus, step]);
+
+  // first row of every rank group in a sorting round
+  const groupStarts = useMemo(() => {
+    if (!round) return null;
+    const starts = new Set();
+    round.order.forEach((p, r) => { if (r === 0 || round.rank[round.order[r - 1]] !== round.rank[p]) starts.add(r); });
+    return starts;
+  }, [round]);
+
+  const [first, last] = visibleRange(view.top, view.height, ROW_SIZE, n);
+  const rows = [];
+  for (let r = first; r < last; r++) {
+    const p = order[r];
+    const classes = ["sa-row"];
+    const suffix = { text, start: p };
+    let third;
+    if (round) {
+      if (groupStarts.has(r) && r > 0) classes.push("group-start");
+      const second = round.k && p + round.k < n ? round.prevRank[p + round.k] : "–";
+      third = round.k ? `(${round.prevRank[p]}, ${second}) → ${round.rank[p]}` : `${displayChar(text[p])} → ${round.rank[p]}`;
+      suffix.strong = Math.max(1, 2 * round.k);
+    } else if (step?.type === "lcp" || step?.type === "done") {
+      third = lcpDone(r) ? index.lcp[r] : "";
+      if (step.type === "lcp" && (r === step.r || (step.j !== null && r === step.r - 1))) {
+        classes.push("sa-current");
+        suffix.matched = step.h;
+      }
+    } else {
+      third = index.lcp[r];
+      const { lo, hi, mid, type } = step ?? {};
+      if (type === "sa-range") {
+        if (r >= lo && r < hi) { classes.push("sa-hit"); suffix.matched = pattern.length; }
+      } else if (lo !== undefined) {
+        if (r >= lo && r < hi) classes.push("sa-in-range");
+        if (r === mid && type !== "sa-move") {
+          classes.push("sa-current");
+          const c = step.lastComparison;
+          if (c) { suffix.matched = c.match ? c.patternIndex + 1 : c.patternIndex; if (!c.match) suffix.mismatch = c.patternIndex; }
+        } else if (r === mid) {
+          classes.push("sa-probed");
+        }
+      }
+    }
+    rows.push(
+      <div key={r} className={classes.join(" ")}>
+        <span className="sa-r">{r}</span>
+        <span className="sa-pos">{p}</span>
+        <span className="sa-third">{third}</span>
+        <Suffix {...suffix} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="sa-table">
+      <div className="sa-row sa-head">
+        <span className="sa-r">r</span>
+        <span className="sa-pos">sa[r]</span>
+        <span className="sa-third">{round ? (round.k ? `rank pair (i, i+${round.k})` : "first char") : "lcp[r]"}</span>
+        <span className="sa-suffix">suffix</span>
+      </div>
+      <div className="sa-body" ref={boxRef}>
+        <div style={{ paddingTop: first * ROW_SIZE, paddingBottom: (n - last) * ROW_SIZE }}>{rows}</div>
+      </div>
+    </div>
+  );
+}
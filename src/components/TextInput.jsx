@@ -0,0 +1,67 @@
+import React, { useRef, useState } from "react";
+
+/* Text field with a multi-line mode, a file picker and drag-and-drop of plain-text files */
+export default function TextInput({ value, onChange, multiline, onMultiline }) {
+  const fileRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [fileError, setFileError] = useState("");
+  // a single-line <input> would strip them, and the next keystroke would write that back
+  const hasBreaks = /[\r\n]/.test(value);
+
+  async function load(file) {
+    if (!file) return;
+    let content;
+    try {
+      content = await file.text();
+    } catch (e) {
+      // e.g. the file was moved or its permissions changed after it was picked
+      setFileError(`Could not read ${file.name}: ${e.message}`);
+      return;
+    }
+    // NUL characters only show up in binary files
+    if (content.includes("\0")) {
+      setFileError(`${file.name} does not look like a plain-text file`);
+      return;
+    }
+    setFileError("");
+    if (/[\r\n]/.test(content)) onMultiline(true);
+    onChange(content);
+  }
+
+  function onDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    load(e.dataTransfer.files[0]);
+  }
+
+  return (
+    <div
+      className={`text-field ${dragging ? "dragging" : ""}`}
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={onDrop}
+    >
+      <label>Text
+        {multiline
+          ? <textarea value={value} rows={4} onChange={e => onChange(e.target.value)} />
+          : <input value={value} onChange={e => onChange(e.target.value)} />}
+      </label>
+      <div className="text-field-tools">
+        <label className="inline" title={hasBreaks ? "The text has line breaks, which a single-line field would drop" : undefined}>
+          <input type="checkbox" checked={multiline} disabled={multiline && hasBreaks} onChange={e => onMultiline(e.target.checked)} />
+          Multi-line
+        </label>
+        <button type="button" className="btn small" onClick={() => fileRef.current.click()}>Load file…</button>
+        <span className="small">or drop a text file here</span>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="text/*,.txt,.log,.csv,.json,.md,.js,.jsx,.ts,.py,.c,.cpp,.java,.fa,.fasta,.conf,.ini,.yaml,.yml,.xml"
+          hidden
+          onChange={e => { load(e.target.files[0]); e.target.value = ""; }}
+        />
+      </div>
+      {fileError && <div className="input-msg error">{fileError}</div>}
+    </div>
+  );
+}
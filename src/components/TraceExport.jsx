@@ -0,0 +1,81 @@
+import React, { useState, useRef, useEffect } from "react";
+import { downloadFile } from "../download";
+import {
+  MAX_EXPORT_FRAMES, canRecordWebM, collectFrames, framesToGIF, framesToWebM, framesToZip, handoutHTML, printHandout
+} from "../traceExport";
+
+/* "Export trace…" panel next to the match export: a step range and one
+   button per format. Frames follow the current text, pattern and options;
+   GIF and WebM show each step for the autoplay delay `speed`. */
+export default function TraceExport({ trace, algo, text, pattern, speed }) {
+  const [from, setFrom] = useState(1);
+  const [to, setTo] = useState(MAX_EXPORT_FRAMES);
+  const [status, setStatus] = useState("");
+  const [busy, setBusy] = useState(false);
+  const runRef = useRef(null);
+
+  useEffect(() => () => { if (runRef.current) runRef.current.stopped = true; }, []);
+
+  const name = `trace-${algo.id.toLowerCase()}`;
+  // custom text rows (multi-pattern, approximate) have no single pattern window
+  const layoutOptions = { patternRow: !algo.Track };
+
+  function range() {
+    const last = Math.min(to, from + MAX_EXPORT_FRAMES - 1);
+    return [Math.max(0, from - 1), Math.max(from - 1, last - 1)];
+  }
+
+  async function run(format) {
+    const [first, last] = range();
+    const job = { stopped: false };
+    runRef.current = job;
+    setBusy(true);
+    setStatus("Rendering frames…");
+    try {
+      const handout = format === "html" || format === "print";
+      const frames = collectFrames(trace, text, pattern, first, last, handout ? { ...layoutOptions, caption: false } : layoutOptions);
+      if (!frames.frames.length) { setStatus("No steps in that range"); return; }
+      const progress = (done, total) => setStatus(`Frame ${done} / ${total}`);
+      const label = `${frames.frames[0].pos + 1}-${frames.frames.at(-1).pos + 1}`;
+      if (format === "gif") {
+        downloadFile(`${name}-${label}.gif`, await framesToGIF(frames, speed, job, progress), "image/gif");
+      } else if (format === "webm") {
+        downloadFile(`${name}-${label}.webm`, await framesToWebM(frames, speed, job, progress), "video/webm");
+      } else if (format === "svg") {
+        downloadFile(`${name}-${label}-svg.zip`, framesToZip(frames), "application/zip");
+      } else {
+        const html = handoutHTML(frames, { title: `${algo.name}: steps ${label}`, text, pattern, matches: trace.matches });
+        if (format === "html") downloadFile(`${name}-${label}.html`, html, "text/html");
+        else if (!printHandout(html)) { setStatus("The print window was blocked; allow pop-ups or download the HTML"); return; }
+      }
+      setStatus(`Exported ${frames.frames.length} step${frames.frames.length === 1 ? "" : "s"}`);
+    } catch (e) {
+      setStatus(e.name === "AbortError" ? "Cancelled" : `Export failed: ${e.message}`);
+    } finally {
+      if (runRef.current === job) runRef.current = null;
+      setBusy(false);
+    }
+  }
+
+  const number = setter => e => setter(Math.max(1, Math.floor(Number(e.target.value) || 1)));
+
+  return (
+    <details className="trace-export">
+      <summary>Export trace…</summary>
+      <div className="trace-export-fields">
+        <label className="inline">Steps <input type="number" min="1" value={from} onChange={number(setFrom)} /></label>
+        <label className="inline">to <input type="number" min="1" value={to} onChange={number(setTo)} /></label>
+        <span className="tiny">at most {MAX_EXPORT_FRAMES} per export; GIF/WebM use {speed} ms per step</span>
+      </div>
+      <div className="trace-export-fields">
+        <button className="btn small" disabled={busy} onClick={() => run("gif")}>GIF</button>
+        <button className="btn small" disabled={busy || !canRecordWebM()} title={canRecordWebM() ? "Recorded in real time" : "This browser cannot record WebM"} onClick={() => run("webm")}>WebM</button>
+        <button className="btn small" disabled={busy} onClick={() => run("svg")}>SVG frames (.zip)</button>
+        <button className="btn small" disabled={busy} onClick={() => run("html")}>Handout (HTML)</button>
+        <button className="btn small" disabled={busy} onClick={() => run("print")}>Print / PDF</button>
+        {busy && <button className="btn small" onClick={() => { runRef.current.stopped = true; }}>Cancel</button>}
+        {status && <span className="small export-status" role="status">{status}</span>}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,108 @@
+import React, { useRef, useEffect, useMemo } from "react";
+import { useViewport, visibleRange, scrollIntoRange, useSegment, useRovingCell } from "./virtual";
+
+// Correct cell spacing from styles.css (38px width + 6px gap + 2px border)
+export const CELL_TOTAL_SPACE = 46;
+// cells per rendered segment (~4.6M px)
+const MAX_TRACK_CELLS = 100000;
+// whitespace that would otherwise render as an empty cell
+const VISIBLE_CHARS = { "\n": "↵", "\r": "␍", "\t": "⇥" };
+// names read out instead of characters a screen reader would skip
+const SPOKEN_CHARS = { " ": "space", "\n": "newline", "\r": "carriage return", "\t": "tab" };
+
+/* Printable stand-in for a text or pattern character */
+export function displayChar(ch) {
+  return VISIBLE_CHARS[ch] ?? ch;
+}
+
+/* A character as a screen reader should announce it in a cell label */
+export function describeChar(ch) {
+  return SPOKEN_CHARS[ch] ?? `"${ch}"`;
+}
+
+/* Text row with the pattern row sliding underneath it, inside one horizontal
+   viewport. Only cells in view are rendered, and the viewport follows the
+   current window as the trace advances. Characters are indexed by UTF-16
+   unit (text[i]) like the step builders, so indices always line up. With
+   `onCellClick(i)` the text cells are buttons, reachable with Tab and moved
+   between with the arrow keys. */
+export function TraceTrack({ text, pattern, current, matches, onCellClick }) {
+  const viewportRef = useRef(null);
+  const view = useViewport(viewportRef);
+  const found = useMemo(() => new Set(matches), [matches, matches.length]);
+  const windowStart = current ? (current.windowStart ?? 0) : 0;
+  const windowEnd = current?.windowEnd ?? windowStart + pattern.length - 1;
+  const count = Math.max(text.length, windowStart + pattern.length);
+  const { base, size } = useSegment(count, windowStart, MAX_TRACK_CELLS);
+  const shifted = windowStart - base;
+
+  useEffect(() => {
+    scrollIntoRange(viewportRef.current, "x", shifted, Math.min(windowEnd - base, shifted + 12), CELL_TOTAL_SPACE);
+  }, [shifted, windowEnd, base]);
+
+  const textCount = Math.max(0, Math.min(size, text.length - base));
+  const { containerProps, tabStop } = useRovingCell(viewportRef, 1, textCount, {
+    reveal: (_, k) => scrollIntoRange(viewportRef.current, "x", k, k, CELL_TOTAL_SPACE, 1, false),
+    onActivate: (_, k) => onCellClick(base + k)
+  });
+
+  const [first, last] = visibleRange(view.left, view.width, CELL_TOTAL_SPACE, size);
+  const tabCell = tabStop(0, 1, first, last)[1];
+
+  const textCells = [];
+  for (let k = first; k < Math.min(last, text.length - base); k++) {
+    const i = base + k;
+    const isCompare = current && current.compareIndex === i;
+    const state = [isCompare && (current.lastMatch ? "match" : "mismatch"), found.has(i) && "in a match"].filter(Boolean);
+    const keyProps = onCellClick && {
+      role: "button",
+      "data-cell": `0,${k}`,
+      tabIndex: k === tabCell ? 0 : -1,
+      "aria-label": `text[${i}] ${describeChar(text[i])}${state.length ? `, ${state.join(", ")}` : ""}`,
+      title: `Jump to the next comparison of text[${i}]`,
+      onClick: () => onCellClick(i)
+    };
+    textCells.push(
+      <div
+        key={i}
+        className={`cell ${isCompare ? (current.lastMatch ? "match" : "mismatch") : ""} ${found.has(i) ? "found" : ""} ${onCellClick ? "keyable" : ""}`}
+        style={{ left: k * CELL_TOTAL_SPACE }}
+        {...keyProps}
+      >
+        <div className="ch">{displayChar(text[i])}</div>
+        <div className="idx">{i}</div>
+      </div>
+    );
+  }
+
+  const patternCells = [];
+  for (let j = Math.max(0, first - shifted); j < Math.min(pattern.length, last - shifted); j++) {
+    const textIndex = windowStart + j; 
+    const isComp = current && 
+                   current.lastComparison && 
+                   current.lastComparison.textIndex === textIndex && 
+                   current.lastComparison.patternIndex === j;
+    
+    const compClass = isComp ? (current.lastComparison.match ? "match" : "mismatch") : "";
+
+    patternCells.push(
+      <div key={j} className={`cell pattern-cell ${compClass}`} style={{ left: j * CELL_TOTAL_SPACE }}>
+        <div className="ch">{displayChar(pattern[j])}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="track" ref={viewportRef} {...(onCellClick && containerProps)}>
+      <div className="track-inner" style={{ width: size * CELL_TOTAL_SPACE }}>
+        <div className="text-row" role={onCellClick ? "group" : undefined} aria-label={onCellClick ? "Text" : undefined}>{textCells}</div>
+        <div
+          className="pattern-row"
+          style={{ transform: `translateX(${(shifted) * CELL_TOTAL_SPACE}px)` }}
+        >
+          {patternCells}
+        </div>
+      </div>
+    </div>
+  );
+}
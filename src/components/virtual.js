@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from "react";
+
+/* Tracks scroll offset and size of a scrollable element so only the
+   visible slice of a long row/list/grid has to be rendered. */
+export function useViewport(ref) {
+  const [view, setView] = useState({ left: 0, top: 0, width: 0, height: 0 });
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const update = () => setView({ left: el.scrollLeft, top: el.scrollTop, width: el.clientWidth, height: el.clientHeight });
+    update();
+    el.addEventListener("scroll", update, { passive: true });
+    const observer = typeof ResizeObserver !== "undefined" ? new ResizeObserver(update) : null;
+    observer?.observe(el);
+    return () => {
+      el.removeEventListener("scroll", update);
+      observer?.disconnect();
+    };
+  }, [ref]);
+
+  return view;
+}
+
+/* [start, end) item indices intersecting [offset, offset + size), plus overscan */
+export function visibleRange(offset, size, itemSize, count, overscan = 8) {
+  // before the first measurement render a screenful so the page is not blank
+  const span = size > 0 ? size : 1200;
+  const start = Math.max(0, Math.floor(offset / itemSize) - overscan);
+  const end = Math.min(count, Math.ceil((offset + span) / itemSize) + overscan);
+  return [start, end];
+}
+
+/* True when the user asked the system for less animation */
+export function prefersReducedMotion() {
+  return typeof window !== "undefined" && !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+}
+
+/* Scroll so the item range [first, last] is visible, keeping `margin` items of
+   context. Scrolling is smooth unless `smooth` is off or motion is reduced. */
+export function scrollIntoRange(el, axis, first, last, itemSize, margin = 2, smooth = true) {
+  if (!el) return;
+  const startPx = Math.max(0, (first - margin) * itemSize);
+  const endPx = (last + 1 + margin) * itemSize;
+  const offset = axis === "x" ? el.scrollLeft : el.scrollTop;
+  const size = axis === "x" ? el.clientWidth : el.clientHeight;
+  if (startPx >= offset && endPx <= offset + size) return;
+  const target = endPx - startPx > size || startPx < offset ? startPx : endPx - size;
+  const behavior = smooth && !prefersReducedMotion() ? "smooth" : "auto";
+  el.scrollTo(axis === "x" ? { left: target, behavior } : { top: target, behavior });
+}
+
+/* Browsers cap element sizes at a few million pixels, so lists longer than
+   `max` items render a movable segment [base, base + max) kept around `focus`. */
+export function useSegment(count, focus, max) {
+  const [base, setBase] = useState(0);
+  let next = base;
+  if (count <= max) next = 0;
+  else if (focus < base + max * 0.1 || focus >= base + max * 0.9 || base + max > count) {
+    next = Math.max(0, Math.min(count - max, Math.floor(focus - max / 2)));
+  }
+  useEffect(() => {
+    if (next !== base) setBase(next);
+  }, [next, base]);
+  return { base: next, size: Math.min(count, max) };
+}
+
+/* Keyboard access to a virtualized grid of `rows` × `cols` cells (a row of
+   cells when rows is 1). One cell is in the tab order at a time (roving
+   tabindex); arrow keys, Home / End and PageUp / PageDown move it, Enter or
+   Space calls `onActivate(row, col)`. The container gets `containerProps`;
+   cells carry data-cell="row,col", and tabIndex 0 goes to the cell
+   `tabStop(rowFirst, rowLast, colFirst, colLast)` returns: the active cell,
+   or the first rendered one while the active cell is scrolled away.
+   `reveal(row, col)` scrolls a cell into view so it is rendered before it
+   takes focus. */
+export function useRovingCell(containerRef, rows, cols, { page = 10, reveal, onActivate }) {
+  const [active, setActive] = useState([0, 0]);
+  const pendingFocus = useRef(false);
+  const row = Math.max(0, Math.min(rows - 1, active[0]));
+  const col = Math.max(0, Math.min(cols - 1, active[1]));
+
+  // a moved cell may only be rendered once the scroll it caused has been seen
+  useEffect(() => {
+    if (!pendingFocus.current) return;
+    const el = containerRef.current?.querySelector(`[data-cell="${row},${col}"]`);
+    if (!el) return;
+    pendingFocus.current = false;
+    el.focus({ preventScroll: true });
+  });
+
+  const cellOf = target => {
+    const value = target.closest?.("[data-cell]")?.dataset.cell;
+    return value ? value.split(",").map(Number) : null;
+  };
+
+  function onKeyDown(e) {
+    const at = cellOf(e.target);
+    if (!at || e.altKey || e.ctrlKey || e.metaKey) return;
+    let [r, c] = at;
+    if (e.key === "Enter" || e.key === " ") {
+      onActivate(r, c);
+    } else {
+      if (e.key === "ArrowRight") c++;
+      else if (e.key === "ArrowLeft") c--;
+      else if (e.key === "ArrowDown") r++;
+      else if (e.key === "ArrowUp") r--;
+      else if (e.key === "Home") c = 0;
+      else if (e.key === "End") c = cols - 1;
+      else if (e.key === "PageDown") rows > 1 ? r += page : c += page;
+      else if (e.key === "PageUp") rows > 1 ? r -= page : c -= page;
+      else return;
+      r = Math.max(0, Math.min(rows - 1, r));
+      c = Math.max(0, Math.min(cols - 1, c));
+      setActive([r, c]);
+      pendingFocus.current = true;
+      reveal(r, c);
+    }
+    // keep the page-wide step shortcuts (arrows, space) out of it
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function onFocus(e) {
+    const at = cellOf(e.target);
+    if (at && (at[0] !== row || at[1] !== col)) setActive(at);
+  }
+
+  const tabStop = (rowFirst, rowLast, colFirst, colLast) =>
+    row >= rowFirst && row < rowLast && col >= colFirst && col < colLast ? [row, col] : [rowFirst, colFirst];
+
+  return { containerProps: { onKeyDown, onFocus }, tabStop };
+}
@@ -0,0 +1,168 @@
+import { doneStep, collectTrace } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher } from "./options.js";
+
+/* Keyword list typed into the Pattern field: comma separated, surrounding
+   spaces trimmed, empty entries and duplicates dropped */
+export function parsePatternList(input) {
+  const seen = new Set();
+  for (const part of input.split(",")) {
+    const keyword = part.trim();
+    if (keyword) seen.add(keyword);
+  }
+  return [...seen];
+}
+
+/* Aho–Corasick automaton over `patterns`. State 0 is the root; every state is
+   { depth, parent, char, next: Map(char -> state), fail, keywords, outputLink }
+   where `keywords` are the pattern indices ending exactly here and
+   `outputLink` is the nearest state on the failure chain that ends a keyword
+   (-1 if none). `order` lists the states breadth first. With ignoreCase the
+   trie is built over case-folded characters. */
+export function buildAutomaton(patterns, options = DEFAULT_MATCH_OPTIONS) {
+  const { key } = createMatcher(options);
+  const states = [{ depth: 0, parent: -1, char: "", next: new Map(), fail: 0, keywords: [], outputLink: -1 }];
+  patterns.forEach((keyword, k) => {
+    let s = 0;
+    for (let j = 0; j < keyword.length; j++) {
+      const c = key(keyword[j]);
+      if (!states[s].next.has(c)) {
+        states.push({ depth: states[s].depth + 1, parent: s, char: c, next: new Map(), fail: 0, keywords: [], outputLink: -1 });
+        states[s].next.set(c, states.length - 1);
+      }
+      s = states[s].next.get(c);
+    }
+    states[s].keywords.push(k);
+  });
+
+  // breadth first, so every failure target is finished before it is used
+  const order = [0];
+  for (let q = 0; q < order.length; q++) {
+    const s = order[q];
+    for (const [c, child] of states[s].next) {
+      order.push(child);
+      if (s === 0) continue;
+      let f = states[s].fail;
+      while (f !== 0 && !states[f].next.has(c)) f = states[f].fail;
+      states[child].fail = states[f].next.get(c) ?? 0;
+      const fail = states[states[child].fail];
+      states[child].outputLink = fail.keywords.length ? states[child].fail : fail.outputLink;
+    }
+  }
+  return { states, order };
+}
+
+/* Text spelled by the path from the root to state s */
+export function statePath(states, s) {
+  let path = "";
+  for (; s > 0; s = states[s].parent) path = states[s].char + path;
+  return path;
+}
+
+function stateLabel(states, s) {
+  return s === 0 ? "root" : `state ${s} "${statePath(states, s)}"`;
+}
+
+/* Aho–Corasick step generator; resumable from { i, state }.
+   Consuming text[i] yields one "goto" step when state has an edge on it (or
+   at the root without one), otherwise a "fail" step per failure link taken.
+   Each keyword ending at i then yields a "found" step with `keyword` set to
+   its index in `patterns`, `from` the automaton state and `state` the one
+   ending the keyword (reached through output links). The window of every step is the text the current
+   state spells, so failure links show up as window shifts. Of the matching
+   options only ignoreCase applies. */
+export function* acTrace(text, patterns, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  if (!patterns.length) {
+    yield { type: "done", windowStart: 0, windowEnd: -1, action: "No keywords: nothing to search", summary: "Search finished." };
+    return;
+  }
+  const { key } = createMatcher(options);
+  const { states } = buildAutomaton(patterns, options);
+  let { i, state } = resume ?? { i: 0, state: 0 };
+  while (i < text.length) {
+    checkpoint({ i, state });
+    const c = key(text[i]);
+    for (;;) {
+      const from = state;
+      const depth = states[from].depth;
+      const child = states[from].next.get(c);
+      if (child !== undefined || from === 0) {
+        const match = child !== undefined;
+        state = match ? child : 0;
+        yield {
+          type: "goto",
+          state,
+          from,
+          windowStart: i + 1 - states[state].depth,
+          windowEnd: i,
+          compareIndex: i,
+          lastComparison: { textIndex: i, patternIndex: depth, match },
+          lastMatch: match,
+          action: match
+            ? `Read text[${i}]='${text[i]}': follow the '${c}' edge${text[i] !== c ? " (case ignored)" : ""} from ${stateLabel(states, from)} to ${stateLabel(states, state)}`
+            : `Read text[${i}]='${text[i]}': the root has no '${c}' edge, stay at the root`,
+          summary: match ? `goto ${state} on '${c}'` : `Stay at root on '${c}'`
+        };
+        break;
+      }
+      state = states[from].fail;
+      yield {
+        type: "fail",
+        state,
+        from,
+        windowStart: i - states[state].depth,
+        windowEnd: i - 1,
+        compareIndex: i,
+        lastComparison: { textIndex: i, patternIndex: depth, match: false },
+        lastMatch: false,
+        shift: { from: i - depth, to: i - states[state].depth, reason: "failure-link" },
+        action: `No '${c}' edge from ${stateLabel(states, from)}: follow its failure link to ${stateLabel(states, state)}`,
+        summary: `fail ${from} -> ${state}`
+      };
+    }
+    // keywords ending at i: the state's own, then along the output links
+    for (let s = state; s !== -1; s = states[s].outputLink) {
+      for (const k of states[s].keywords) {
+        const start = i + 1 - patterns[k].length;
+        yield {
+          type: "found",
+          state: s,
+          from: state,
+          keyword: k,
+          windowStart: start,
+          windowEnd: i,
+          action: s === state
+            ? `"${patterns[k]}" found at ${start}: ${stateLabel(states, s)} ends this keyword`
+            : `"${patterns[k]}" found at ${start}: reached through the output link to ${stateLabel(states, s)}`,
+          summary: `"${patterns[k]}" occurs at ${start}`
+        };
+      }
+    }
+    i++;
+  }
+  const last = states[state].depth;
+  yield { ...doneStep(text.length - last, last), state };
+}
+
+/* Build Aho–Corasick steps; `matches` are start indices in the order found */
+export function buildACSteps(text, patterns, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(acTrace(text, patterns, null, undefined, options));
+}
+
+/* Every occurrence as { start, keyword } without building a trace, sorted
+   by start then keyword index */
+export function acMatches(text, patterns, options = DEFAULT_MATCH_OPTIONS) {
+  const out = [];
+  if (!patterns.length) return out;
+  const { key } = createMatcher(options);
+  const { states } = buildAutomaton(patterns, options);
+  let state = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = key(text[i]);
+    while (state !== 0 && !states[state].next.has(c)) state = states[state].fail;
+    state = states[state].next.get(c) ?? 0;
+    for (let s = state; s !== -1; s = states[s].outputLink) {
+      for (const k of states[s].keywords) out.push({ start: i + 1 - patterns[k].length, keyword: k });
+    }
+  }
+  return out.sort((a, b) => a.start - b.start || a.keyword - b.keyword);
+}
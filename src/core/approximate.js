@@ -0,0 +1,283 @@
+import { doneStep, collectTrace } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+
+/* ---------------- Approximate matching ----------------
+   Both algorithms fill a Text rows × Pattern columns matrix, one row per text
+   character:
+
+   Sellers (k differences)  D[i][j] = fewest edits (substitutions, insertions,
+     deletions) turning pattern[0..j] into a substring of text ending at i.
+     D[-1][j] = j + 1, and D[i][-1] = 0 because a match may start anywhere.
+   Bitap / Shift-And (k mismatches)  H[i][j] = mismatches between pattern[0..j]
+     and text[i-j..i] (substitutions only). Bit j of the state word R_d is set
+     when H[i][j] <= d, so only values up to k are known; larger ones are
+     stored as k + 1.
+
+   A match ends at i when the last column is at most k (options.maxErrors). */
+
+export const BITAP_MAX_PATTERN = 31; // bits per state word
+
+/* k from the options, as a whole number >= 0 */
+export function maxErrorsOf(options) {
+  return Math.max(0, Math.floor(options.maxErrors ?? DEFAULT_MATCH_OPTIONS.maxErrors));
+}
+
+/* Row i of the Sellers matrix from row i - 1 (null for the row above the text) */
+export function sellersRow(prev, text, pattern, i, matcher) {
+  const m = pattern.length;
+  const row = new Int32Array(m);
+  for (let j = 0; j < m; j++) {
+    const up = prev ? prev[j] : j + 1;
+    const diag = j === 0 ? 0 : (prev ? prev[j - 1] : j);
+    const left = j === 0 ? 0 : row[j - 1];
+    row[j] = Math.min(diag + (matcher.equal(text[i], pattern[j]) ? 0 : 1), up + 1, left + 1);
+  }
+  return row;
+}
+
+/* Row i of the mismatch matrix, capped at cap (= k + 1) */
+export function hammingRow(prev, text, pattern, i, matcher, cap) {
+  const m = pattern.length;
+  const row = new Int32Array(m);
+  for (let j = 0; j < m; j++) {
+    const before = j === 0 ? 0 : (prev && j <= i ? prev[j - 1] : cap);
+    row[j] = Math.min(cap, before + (matcher.equal(text[i], pattern[j]) ? 0 : 1));
+  }
+  return row;
+}
+
+/* (prev, i) -> row i of the "sellers" or "bitap" matrix */
+function rowStepper(kind, text, pattern, options) {
+  const matcher = createMatcher(options);
+  const cap = maxErrorsOf(options) + 1;
+  return kind === "bitap"
+    ? (prev, i) => hammingRow(prev, text, pattern, i, matcher, cap)
+    : (prev, i) => sellersRow(prev, text, pattern, i, matcher);
+}
+
+/* Random access to the rows of either matrix for the grid. Every
+   `checkpointEvery`-th row is kept, so a row costs at most that many row
+   computations; recent rows are cached. */
+export class DPRows {
+  constructor(kind, text, pattern, options = DEFAULT_MATCH_OPTIONS, checkpointEvery = 128) {
+    this.next = rowStepper(kind, text, pattern, options);
+    this.checkpointEvery = checkpointEvery;
+    this.checkpoints = []; // checkpoints[c] = row c * checkpointEvery
+    this.cache = new Map();
+  }
+
+  row(i) {
+    if (this.cache.has(i)) return this.cache.get(i);
+    const every = this.checkpointEvery;
+    const c = Math.floor(i / every);
+    while (this.checkpoints.length <= c) {
+      const k = this.checkpoints.length;
+      let r = k === 0 ? this.next(null, 0) : this.checkpoints[k - 1];
+      for (let t = (k - 1) * every + 1; k > 0 && t <= k * every; t++) r = this.next(r, t);
+      this.checkpoints.push(r);
+    }
+    let r = this.checkpoints[c];
+    for (let t = c * every + 1; t <= i; t++) r = this.next(r, t);
+    if (this.cache.size > 512) this.cache.clear();
+    this.cache.set(i, r);
+    return r;
+  }
+}
+
+/* Cheapest alignment of pattern with a substring of text ending at `end`,
+   found by backtracking a local matrix over the last m + k characters.
+   Returns { start, cost, ops } with ops in text order:
+   { op: "match" | "substitute" | "insert" | "delete", textIndex?, patternIndex? }
+   ("insert" = extra text character, "delete" = pattern character missing in text) */
+export function alignEnding(kind, text, pattern, end, options = DEFAULT_MATCH_OPTIONS) {
+  const matcher = createMatcher(options);
+  const m = pattern.length;
+  const k = maxErrorsOf(options);
+  if (kind === "bitap") {
+    const start = end - m + 1;
+    const ops = [];
+    let cost = 0;
+    for (let j = 0; j < m; j++) {
+      const same = matcher.equal(text[start + j], pattern[j]);
+      if (!same) cost++;
+      ops.push({ op: same ? "match" : "substitute", textIndex: start + j, patternIndex: j });
+    }
+    return { start, cost, ops };
+  }
+  const from = Math.max(0, end - m - k + 1);
+  const rows = [];
+  let prev = null;
+  for (let i = from; i <= end; i++) rows.push(prev = sellersRow(prev, text, pattern, i, matcher));
+  const at = (i, j) => (j < 0 ? 0 : i < from ? j + 1 : rows[i - from][j]);
+  const ops = [];
+  let i = end, j = m - 1;
+  const cost = at(i, j);
+  while (j >= 0) {
+    const here = at(i, j);
+    const same = i >= from && matcher.equal(text[i], pattern[j]);
+    if (i >= from && here === at(i - 1, j - 1) + (same ? 0 : 1)) {
+      ops.push({ op: same ? "match" : "substitute", textIndex: i, patternIndex: j });
+      i--; j--;
+    } else if (i >= from && here === at(i - 1, j) + 1) {
+      ops.push({ op: "insert", textIndex: i });
+      i--;
+    } else {
+      ops.push({ op: "delete", patternIndex: j });
+      j--;
+    }
+  }
+  ops.reverse();
+  const first = ops.find(o => o.textIndex !== undefined);
+  return { start: first ? first.textIndex : end + 1, cost, ops };
+}
+
+function describeAlignment(ops, text, pattern) {
+  const edits = ops.filter(o => o.op !== "match").map(o => {
+    if (o.op === "substitute") return `'${pattern[o.patternIndex]}'→'${text[o.textIndex]}' at ${o.textIndex}`;
+    if (o.op === "insert") return `extra '${text[o.textIndex]}' at ${o.textIndex}`;
+    return `missing '${pattern[o.patternIndex]}'`;
+  });
+  return edits.length ? edits.join(", ") : "exact";
+}
+
+function foundApproxStep(kind, text, pattern, end, options) {
+  const { start, cost, ops } = alignEnding(kind, text, pattern, end, options);
+  return {
+    type: "found",
+    windowStart: start,
+    windowEnd: end,
+    end,
+    cost,
+    alignment: ops,
+    dp: { row: end, col: pattern.length - 1 },
+    action: `Match ending at ${end} with ${cost} ${kind === "bitap" ? (cost === 1 ? "mismatch" : "mismatches") : (cost === 1 ? "edit" : "edits")} (text[${start}..${end}]): ${describeAlignment(ops, text, pattern)}`,
+    summary: `Match ends at ${end}, cost ${cost}`
+  };
+}
+
+function trivialApprox(text, pattern) {
+  if (pattern.length) return null;
+  return [{ type: "done", windowStart: 0, windowEnd: -1, action: "Pattern is empty: nothing to search", summary: "Search finished." }];
+}
+
+/* Sellers step generator: one "dp" step per matrix cell, a "found" step after
+   every row whose last cell is <= k; resumable from { i, row } (row = row i - 1) */
+export function* sellersTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialApprox(text, pattern);
+  if (trivial) { yield* trivial; return; }
+  const matcher = createMatcher(options);
+  const k = maxErrorsOf(options);
+  const m = pattern.length;
+  let { i, row: prev } = resume ?? { i: 0, row: null };
+  for (; i < text.length; i++) {
+    checkpoint({ i, row: prev });
+    const row = new Int32Array(m);
+    for (let j = 0; j < m; j++) {
+      const up = prev ? prev[j] : j + 1;
+      const diag = j === 0 ? 0 : (prev ? prev[j - 1] : j);
+      const left = j === 0 ? 0 : row[j - 1];
+      const same = matcher.equal(text[i], pattern[j]);
+      const candidates = [diag + (same ? 0 : 1), up + 1, left + 1];
+      const value = Math.min(...candidates);
+      row[j] = value;
+      const via = value === candidates[0] ? (same ? "match" : "substitute") : value === candidates[1] ? "insert" : "delete";
+      yield {
+        type: "dp",
+        windowStart: i - j,
+        windowEnd: i - j + m - 1,
+        compareIndex: i,
+        lastComparison: { textIndex: i, patternIndex: j, match: same },
+        lastMatch: same,
+        dp: { row: i, col: j, value, via },
+        action: `D[${i}][${j}] = min(diagonal ${diag} + ${same ? 0 : 1}, above ${up} + 1, left ${left} + 1) = ${value}` +
+          ` (${via === "match" ? `'${text[i]}' matches '${pattern[j]}'` : via === "substitute" ? `substitute '${pattern[j]}' by '${text[i]}'` : via === "insert" ? `skip text '${text[i]}'` : `skip pattern '${pattern[j]}'`})` +
+          matchNote(matcher, text[i], pattern[j]),
+        summary: `D[${i}][${j}] = ${value}`
+      };
+    }
+    if (row[m - 1] <= k) yield foundApproxStep("sellers", text, pattern, i, options);
+    prev = row;
+  }
+  yield doneStep(Math.max(0, text.length - m), m);
+}
+
+/* Shift-And with k mismatches: one "bitap" step per text character showing the
+   state words R_0..R_k, then a "found" step when bit m-1 is set in some R_d;
+   resumable from { i, words }. Patterns are limited to BITAP_MAX_PATTERN. */
+export function* bitapTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialApprox(text, pattern);
+  if (trivial) { yield* trivial; return; }
+  const m = pattern.length;
+  if (m > BITAP_MAX_PATTERN) {
+    yield { type: "done", windowStart: 0, windowEnd: m - 1, action: `Bitap handles patterns up to ${BITAP_MAX_PATTERN} characters`, summary: "Search finished." };
+    return;
+  }
+  const matcher = createMatcher(options);
+  const k = Math.min(maxErrorsOf(options), m);
+  // mask(c): bit j set when c matches pattern[j]
+  const masks = new Map();
+  const mask = c => {
+    const key = matcher.key(c);
+    if (!masks.has(key)) {
+      let bits = 0;
+      for (let j = 0; j < m; j++) if (matcher.equal(c, pattern[j])) bits |= 1 << j;
+      masks.set(key, bits);
+    }
+    return masks.get(key);
+  };
+  const top = 1 << (m - 1);
+  const bits = w => (w >>> 0).toString(2).padStart(m, "0").slice(-m);
+  let { i, words } = resume ?? { i: 0, words: Array(k + 1).fill(0) };
+  for (; i < text.length; i++) {
+    checkpoint({ i, words });
+    const t = mask(text[i]);
+    const next = [];
+    for (let d = 0; d <= k; d++) {
+      // extend a d-mismatch prefix with a matching character, or a (d-1)-mismatch prefix with any character
+      let w = ((words[d] << 1) | 1) & t;
+      if (d > 0) w |= (words[d - 1] << 1) | 1;
+      next.push(w & ((top << 1) - 1));
+    }
+    words = next;
+    const cost = words.findIndex(w => (w & top) !== 0);
+    yield {
+      type: "bitap",
+      windowStart: i - m + 1,
+      windowEnd: i,
+      compareIndex: i,
+      // one mask lookup compares text[i] with every pattern position; counted once
+      lastComparison: { textIndex: i, patternIndex: 0, match: (t & 1) !== 0 },
+      lastMatch: (t & 1) !== 0,
+      dp: { row: i, col: m - 1 },
+      words: words.slice(),
+      action: `Read '${text[i]}': mask ${bits(t)}; ` + words.map((w, d) => `R${d} = ${bits(w)}`).join(", ") +
+        (cost === -1 ? "" : ` -> bit ${m - 1} set in R${cost}`),
+      summary: `Read text[${i}]`
+    };
+    if (cost !== -1) yield foundApproxStep("bitap", text, pattern, i, options);
+  }
+  yield doneStep(Math.max(0, text.length - m), m);
+}
+
+export function buildSellersSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(sellersTrace(text, pattern, null, undefined, options));
+}
+
+export function buildBitapSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(bitapTrace(text, pattern, null, undefined, options));
+}
+
+/* Every match end with its cost, without building a trace */
+export function approximateMatches(kind, text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const out = [];
+  if (!pattern.length || (kind === "bitap" && pattern.length > BITAP_MAX_PATTERN)) return out;
+  const k = maxErrorsOf(options);
+  const next = rowStepper(kind, text, pattern, options);
+  let prev = null;
+  for (let i = 0; i < text.length; i++) {
+    prev = next(prev, i);
+    const cost = prev[pattern.length - 1];
+    if (cost <= k) out.push({ end: i, cost });
+  }
+  return out;
+}
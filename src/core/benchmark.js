@@ -0,0 +1,138 @@
+import { createRandom, randomInt, randomString, naturalText } from "./generate.js";
+import { statsCounter } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher } from "./options.js";
+
+/* ---------------- Benchmarks ----------------
+   Builders are run over generated inputs of growing size and their traces
+   counted (comparisons and window shifts), without keeping any steps. */
+
+/* Input families: text of length n with a pattern of length m */
+export const BENCHMARK_INPUTS = [
+  { id: "random", label: "Random (4 letters)" },
+  { id: "periodic", label: "Periodic (abaab…)" },
+  { id: "worst", label: "Worst case (aaaa… / aaa…ab)" },
+  { id: "natural", label: "Natural language" }
+];
+
+// sizes doubled from the first up to the chosen maximum
+const N_START = 1000;
+const M_START = 2;
+
+/* Text and pattern for one benchmark point; the random and natural patterns
+   are cut from the text, so they occur at least once */
+export function benchmarkInput(kind, n, m, seed = 1) {
+  const rand = createRandom(seed + 7919 * n + 104729 * m);
+  if (kind === "periodic") {
+    const unit = "abaab";
+    const repeat = len => unit.repeat(Math.ceil(len / unit.length)).slice(0, len);
+    return { text: repeat(n), pattern: repeat(m) };
+  }
+  if (kind === "worst") return { text: "a".repeat(n), pattern: "a".repeat(m - 1) + "b" };
+  const text = kind === "natural" ? naturalText(rand, n) : randomString(rand, n, "abcd");
+  const at = randomInt(rand, Math.max(1, n - m + 1));
+  return { text, pattern: text.slice(at, at + m) };
+}
+
+/* The (n, m) points of a sweep over n (m fixed) or over m (n fixed) */
+export function benchmarkPoints(sweep, { n, m, maxN, maxM }) {
+  const points = [];
+  if (sweep === "n") {
+    for (let size = N_START; size <= maxN; size *= 2) points.push({ n: size, m });
+  } else {
+    for (let size = M_START; size <= Math.min(maxM, n); size *= 2) points.push({ n, m: size });
+  }
+  return points;
+}
+
+/* Comparisons and shifts of one search, plus the preprocessing steps and
+   the wall time in ms. `algo` is a registry descriptor (anything with
+   trace or buildSteps, and optionally preprocess). */
+export function measure(algo, text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const counter = measureCounter(algo, text, pattern, options);
+  counter.scan(Infinity);
+  const { comparisons, shifts, preprocessing, ms } = counter;
+  return { comparisons, shifts, preprocessing, ms };
+}
+
+/* measure in slices, for searches too long to run in one go: scan(budgetMs)
+   counts on for about budgetMs and returns true once the figures are final
+   (`complete`); ms adds up the time spent inside scan */
+export function measureCounter(algo, text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const stats = statsCounter();
+  let steps = null;
+  return {
+    comparisons: 0,
+    shifts: 0,
+    preprocessing: algo.preprocess ? [...algo.preprocess(pattern, options)].length : 0,
+    ms: 0,
+    complete: false,
+    scan(budgetMs = 12) {
+      const start = performance.now();
+      const deadline = Date.now() + budgetMs;
+      steps ??= algo.trace
+        ? algo.trace(text, pattern, null, undefined, options)
+        : algo.buildSteps(text, pattern, options).steps[Symbol.iterator]();
+      let n = 0;
+      while (!this.complete) {
+        const { value: step, done } = steps.next();
+        if (done) this.complete = true;
+        else stats.add(step);
+        if (++n % 256 === 0 && Date.now() > deadline) break;
+      }
+      this.comparisons = stats.comparisons;
+      this.shifts = stats.shifts;
+      this.ms += performance.now() - start;
+      return this.complete;
+    }
+  };
+}
+
+/* Character comparisons the brute force search makes on this input: the
+   yardstick for "vs naive" figures, counted without building a trace */
+export function naiveComparisons(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const counter = naiveCounter(text, pattern, options);
+  counter.scan(Infinity);
+  return counter.count;
+}
+
+/* naiveComparisons in slices, for inputs too long to count in one go:
+   scan(budgetMs) counts on for about budgetMs and returns true once `count`
+   is final (`complete`) */
+export function naiveCounter(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const { equal } = createMatcher(options);
+  const n = text.length, m = pattern.length;
+  let s = 0;
+  return {
+    count: 0,
+    complete: m === 0 || m > n,
+    scan(budgetMs = 12) {
+      const deadline = Date.now() + budgetMs;
+      let unchecked = 0; // comparisons since the clock was last read
+      while (!this.complete) {
+        const before = this.count;
+        let j = 0;
+        while (j < m) {
+          this.count++;
+          if (!equal(text[s + j], pattern[j])) break;
+          j++;
+        }
+        unchecked += this.count - before;
+        if (++s + m > n) this.complete = true;
+        else if (unchecked >= 4096) {
+          unchecked = 0;
+          if (Date.now() > deadline) break;
+        }
+      }
+      return this.complete;
+    }
+  };
+}
+
+/* Benchmark rows { input, sweep, algorithm, n, m, comparisons, shifts, bound,
+   preprocessing, ms } as CSV */
+export function benchmarkToCSV(rows) {
+  const header = ["input", "sweep", "algorithm", "n", "m", "comparisons", "shifts", "bound", "preprocessing", "ms"];
+  const lines = [header.join(",")];
+  for (const row of rows) lines.push(header.map(key => (key === "ms" ? row.ms.toFixed(2) : row[key])).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,278 @@
+import { compareStep, foundStep, doneStep, trivialTrace, collectTrace, runSteps } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, WILDCARD, createMatcher, matchNote } from "./options.js";
+
+/* Boyer-Moore preprocessing: bad char and good suffix, each as a "pre" step
+   generator (see ./trace.js) returning the table, plus a compute function */
+
+/* bad char: last occurrence, keyed by the case-folded character when ignoreCase is on.
+   One step per pattern position, a later occurrence overwriting the entry. */
+export function* badCharTrace(p, options = DEFAULT_MATCH_OPTIONS) {
+  const { key } = createMatcher(options);
+  const bad = {};
+  for (let i = 0; i < p.length; i++) {
+    const c = key(p[i]);
+    const before = bad[c];
+    bad[c] = i;
+    yield {
+      type: "pre",
+      table: "bad-character",
+      seq: i,
+      i,
+      set: { key: c, value: i },
+      windowStart: 0,
+      windowEnd: p.length - 1,
+      action: before === undefined
+        ? `p[${i}]='${p[i]}': bad['${c}'] = ${i}`
+        : `p[${i}]='${p[i]}' occurs again: bad['${c}'] = ${i} replaces ${before}, only the last occurrence counts`,
+      summary: `bad['${c}'] = ${i}`
+    };
+  }
+  return bad;
+}
+
+export function computeBadChar(p, options = DEFAULT_MATCH_OPTIONS) {
+  return runSteps(badCharTrace(p, options));
+}
+
+/* Last pattern index that can match text character c: its own last
+   occurrence or, with wildcards on, the last '?', whichever is further right */
+export function badCharIndex(bad, c, matcher) {
+  const last = bad[matcher.key(c)] ?? -1;
+  return matcher.options.wildcard ? Math.max(last, bad[WILDCARD] ?? -1) : last;
+}
+
+/* Good suffix shifts, strong rule, by the standard two-pass method.
+   shift[q] is the shift after p[q..m-1] matched and p[q-1] mismatched
+   (shift[0] after a full match); the search reads good[j + 1].
+
+   borderPos[i] = start of the widest border of the suffix p[i..m-1]
+   (m + 1 for the empty suffix). Pass 1 walks i from right to left and tries
+   to extend the border of p[i..m-1] by p[i-1]. Where p[i-1] != p[j-1] the
+   suffix p[j..m-1] re-occurs at i preceded by a different character, so
+   shift[j] = j - i unless a smaller shift was already found; the border then
+   narrows to borderPos[j]. Pass 2 fills the positions that have no such
+   re-occurrence with the widest border of the whole pattern (which starts at
+   borderPos[0]), moving to the next narrower border once i passes its start.
+
+   Every comparison and table entry is a step carrying i, j, the pass and
+   set = { array: "shift" | "borderPos", index, value }. Returns shift (m + 1 entries). */
+export function* goodSuffixTrace(pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const matcher = createMatcher(options);
+  if (matcher.hasWildcards(pattern)) return yield* wildcardGoodSuffixTrace(pattern, matcher);
+  const p = Array.from({ length: pattern.length }, (_, i) => matcher.key(pattern[i]));
+  const m = p.length;
+  const shift = Array(m + 1).fill(m);
+  const known = Array(m + 1).fill(false); // shift[q] decided (m itself is a valid shift)
+  const borderPos = Array(m + 1).fill(0);
+  let seq = 0;
+  let i = m, j = m + 1;
+  const step = (pass, action, summary, set = null) =>
+    ({ type: "pre", table: "good-suffix", seq: seq++, pass, i, j, set, windowStart: 0, windowEnd: m - 1, action, summary });
+
+  borderPos[i] = j;
+  yield step(1, `Pass 1: the empty suffix p[${m}..] has no border, borderPos[${m}] = ${m + 1}`, `borderPos[${m}] = ${m + 1}`, { array: "borderPos", index: m, value: j });
+  while (i > 0) {
+    while (j <= m && p[i - 1] !== p[j - 1]) {
+      const first = !known[j];
+      if (first) {
+        shift[j] = j - i;
+        known[j] = true;
+      }
+      const next = borderPos[j];
+      yield step(1,
+        `p[${i - 1}]='${pattern[i - 1]}' ≠ p[${j - 1}]='${pattern[j - 1]}': ${j === m ? "the empty suffix" : `suffix p[${j}..]`} re-occurs at ${i} after a different character` +
+          (first ? `, shift[${j}] = ${j} − ${i} = ${j - i}` : `, shift[${j}] already ${shift[j]}`) + `; narrow the border to j = borderPos[${j}] = ${next}`,
+        first ? `shift[${j}] = ${j - i}` : `GS: j to ${next}`,
+        first ? { array: "shift", index: j, value: j - i } : null);
+      j = next;
+    }
+    i--; j--;
+    borderPos[i] = j;
+    yield step(1,
+      j === m
+        ? `p[${i}..] has no border: borderPos[${i}] = ${m}`
+        : `p[${i}]='${pattern[i]}' = p[${j}]='${pattern[j]}': the border of p[${i}..] is p[${j}..], borderPos[${i}] = ${j}`,
+      `borderPos[${i}] = ${j}`,
+      { array: "borderPos", index: i, value: j });
+  }
+  j = borderPos[0];
+  yield step(2, `Pass 2: the widest border of the whole pattern starts at j = borderPos[0] = ${j} (length ${m - j})`, `GS pass 2, j = ${j}`);
+  for (i = 0; i <= m; i++) {
+    if (!known[i]) {
+      shift[i] = j;
+      known[i] = true;
+      yield step(2, `No re-occurrence of p[${i}..]: shift[${i}] = ${j}, lining up the border p[0..${m - j - 1}] with the end of the window`, `shift[${i}] = ${j}`, { array: "shift", index: i, value: j });
+    }
+    if (i === j) {
+      j = borderPos[j];
+      if (i < m) yield step(2, `i reached the border start: continue with the next narrower border, j = borderPos[${i}] = ${j}`, `GS: j to ${j}`);
+    }
+  }
+  return shift;
+}
+
+export function computeGoodSuffix(pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return runSteps(goodSuffixTrace(pattern, options));
+}
+
+/* Good suffix for patterns with '?' wildcards, where the border passes above
+   do not apply (equality is not transitive). shift[q] is the smallest s such
+   that the pattern moved right by s is compatible with the matched suffix
+   p[q..m-1] and does not put a character certainly equal to the mismatched
+   p[q-1] under the mismatch. O(m²); one step per entry. */
+function* wildcardGoodSuffixTrace(p, matcher) {
+  const { key, isWildcard } = matcher;
+  const m = p.length;
+  const compatible = (a, b) => isWildcard(a) || isWildcard(b) || key(a) === key(b);
+  // rightmost index u where p shifted by s contradicts p (p[u - s] vs p[u]), -1 if none
+  const conflict = Array(m + 1).fill(-1);
+  for (let s = 1; s < m; s++) {
+    for (let u = m - 1; u >= s; u--) {
+      if (!compatible(p[u - s], p[u])) { conflict[s] = u; break; }
+    }
+  }
+  const shift = Array(m + 1).fill(m);
+  for (let q = 0; q <= m; q++) {
+    for (let s = 1; s < m; s++) {
+      if (conflict[s] >= q) continue;
+      const under = q - 1 - s; // pattern index that lands under the mismatch
+      if (q > 0 && under >= 0 && !isWildcard(p[under]) && !isWildcard(p[q - 1]) && key(p[under]) === key(p[q - 1])) continue;
+      shift[q] = s;
+      break;
+    }
+    yield {
+      type: "pre",
+      table: "good-suffix",
+      seq: q,
+      pass: 1,
+      i: q,
+      j: q - shift[q],
+      set: { array: "shift", index: q, value: shift[q] },
+      windowStart: 0,
+      windowEnd: m - 1,
+      action: shift[q] === m
+        ? `No shift below ${m} is compatible with p[${q}..] (wildcards checked): shift[${q}] = ${m}`
+        : `Smallest shift compatible with p[${q}..] that changes the character under the mismatch: shift[${q}] = ${shift[q]}`,
+      summary: `shift[${q}] = ${shift[q]}`
+    };
+  }
+  return shift;
+}
+
+/* Shift rules the search can use (options.shiftRule, "both" by default):
+   the full algorithm, either heuristic alone, or Horspool, which shifts by
+   the last occurrence of the text character under the pattern's last cell */
+export const SHIFT_RULES = [
+  { id: "both", label: "Bad character + good suffix" },
+  { id: "bad-character", label: "Bad character only" },
+  { id: "good-suffix", label: "Good suffix only" },
+  { id: "horspool", label: "Horspool" }
+];
+
+function shiftRuleOf(options) {
+  return options.shiftRule ?? "both";
+}
+
+/* Which tables a rule needs: bad = last occurrences (over p[0..m-2] for
+   Horspool), good = good suffix shifts */
+function ruleTables(rule) {
+  return { bad: rule !== "good-suffix", good: rule === "both" || rule === "good-suffix" };
+}
+
+/* Preprocessing steps for the rule in options: the bad character (or
+   Horspool) table, then the good suffix passes */
+export function* bmPreprocessTrace(pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const rule = shiftRuleOf(options);
+  const use = ruleTables(rule);
+  if (use.bad) yield* badCharTrace(rule === "horspool" ? pattern.slice(0, -1) : pattern, options);
+  if (use.good) yield* goodSuffixTrace(pattern, options);
+}
+
+/* What justifies good suffix shift g after p[q..m-1] matched:
+   "reoccurrence"  the suffix occurs again at `start` (q - g), preceded by a
+                   different character (or by nothing)
+   "border"        only its last `length` characters occur, as a prefix of the pattern
+   "none"          g = m: not even a border lines up, the pattern moves past the window */
+export function goodSuffixReason(m, q, g) {
+  if (g >= m) return { kind: "none", start: 0, length: 0 };
+  if (q - g >= 0) return { kind: "reoccurrence", start: q - g, length: m - q };
+  return { kind: "border", start: 0, length: m - g };
+}
+
+/* Boyer-Moore step generator; resumable from { s }. options.shiftRule picks
+   the rule (SHIFT_RULES). Shift steps carry everything the rule looked at:
+   shift = { from, to, reason, rule, mismatchIndex, textIndex, lastOccurrence,
+   badCharacter, goodSuffix }, where textIndex is the text character looked up
+   in the bad character table and a heuristic that is off has null. */
+export function* bmTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialTrace(text, pattern);
+  if (trivial) { yield* trivial.steps; return; }
+  const matcher = createMatcher(options);
+  const rule = shiftRuleOf(options);
+  const use = ruleTables(rule);
+  const n = text.length, m = pattern.length;
+  const bad = use.bad ? computeBadChar(rule === "horspool" ? pattern.slice(0, -1) : pattern, options) : null;
+  const good = use.good ? computeGoodSuffix(pattern, options) : null;
+  let s = resume?.s ?? 0; // shift
+  while (s <= n - m) {
+    checkpoint({ s });
+    let j = m - 1;
+    yield { type: "align", windowStart: s, windowEnd: s + m - 1, action: `Align pattern at s=${s}`, summary: `Window [${s}, ${s + m - 1}]`};
+    while (j >= 0 && matcher.equal(text[s + j], pattern[j])) {
+      yield compareStep(s, m, s + j, j, true, `Match at text[${s + j}] & pattern[${j}]${matchNote(matcher, text[s + j], pattern[j])}`);
+      j--;
+    }
+    if (j >= 0) yield compareStep(s, m, s + j, j, false, `Mismatch at text[${s + j}] & pattern[${j}]`);
+    else yield foundStep(s, m);
+
+    let shift, action, reason;
+    const detail = { rule, mismatchIndex: j >= 0 ? j : null, textIndex: null, lastOccurrence: null, badCharacter: null, goodSuffix: null };
+    if (rule === "horspool") {
+      // the character under the last pattern cell decides, wherever the mismatch was
+      detail.textIndex = s + m - 1;
+      detail.lastOccurrence = badCharIndex(bad, text[s + m - 1], matcher);
+      shift = m - 1 - detail.lastOccurrence;
+      detail.badCharacter = shift;
+      reason = j >= 0 ? "horspool" : "after-match";
+      action = `Horspool: text[${s + m - 1}]='${text[s + m - 1]}' ` +
+        (detail.lastOccurrence >= 0 ? `last occurs at ${detail.lastOccurrence} in p[0..${m - 2}]` : `does not occur in p[0..${m - 2}]`) +
+        ` -> shift ${shift}${j >= 0 ? "" : " after match"}`;
+    } else if (j < 0) {
+      // a full match has no mismatched character; the bad character rule alone can only move by 1
+      detail.goodSuffix = use.good ? good[0] ?? 1 : null;
+      shift = detail.goodSuffix ?? 1;
+      reason = "after-match";
+      action = `Shift after match by ${shift}`;
+    } else {
+      if (use.bad) {
+        detail.textIndex = s + j;
+        detail.lastOccurrence = badCharIndex(bad, text[s + j], matcher);
+        detail.badCharacter = Math.max(1, j - detail.lastOccurrence);
+      }
+      if (use.good) detail.goodSuffix = good[j + 1] ?? m;
+      shift = Math.max(detail.badCharacter ?? 0, detail.goodSuffix ?? 0);
+      reason = detail.goodSuffix === null || (detail.badCharacter !== null && detail.badCharacter >= detail.goodSuffix) ? "bad-character" : "good-suffix";
+      action = rule === "both"
+        ? `Bad Character shift ${detail.badCharacter}, Good Suffix shift ${detail.goodSuffix} -> use ${shift}`
+        : rule === "bad-character"
+          ? `Bad Character shift ${shift} (good suffix rule off)`
+          : `Good Suffix shift ${shift} (bad character rule off)`;
+    }
+    yield {
+      type: "shift",
+      action,
+      summary: j < 0 ? `Shift to ${s + shift}` : `Shift from ${s} to ${s + shift}`,
+      windowStart: s + shift,
+      windowEnd: s + shift + m - 1,
+      shift: { from: s, to: s + shift, reason, ...detail }
+    };
+    s += shift;
+  }
+  // the last shift step already moved the window to s
+  yield doneStep(s, m);
+}
+
+/* Build Boyer-Moore steps with the shift rule in options (Bad Character + Good Suffix by default) */
+export function buildBMSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(bmTrace(text, pattern, null, undefined, options));
+}
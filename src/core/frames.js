@@ -0,0 +1,146 @@
+/* ---------------- Trace frames ----------------
+   One step drawn as a standalone SVG image: the text row, the pattern row
+   under its window and the step's action text, styled like the page. Frames
+   of one export share a layout (`frameLayout`), so they can be played as an
+   animation. Plain strings, no DOM: usable from Node as well. */
+
+const CELL = 38;
+const GAP = 8;
+const COL = CELL + GAP;
+const PAD = 12;
+// text columns shown around the window; longer texts are cropped
+const MIN_COLUMNS = 16;
+const MAX_COLUMNS = 40;
+// approximate width of a 14px action text character, for line wrapping
+const CHAR_WIDTH = 7.2;
+
+const COLORS = {
+  border: "#dddddd",
+  ch: "#1e293b",
+  idx: "#64748b",
+  patternBorder: "#cbd5e1",
+  patternBg: "#f8fafc",
+  // the page's colorblind-safe match / mismatch palette (styles.css :root)
+  matchBorder: "#0072b2",
+  matchBg: "#e1effa",
+  mismatchBorder: "#d55e00",
+  mismatchBg: "#fdebdd",
+  found: "#009e73",
+  action: "#0f172a"
+};
+
+const VISIBLE_CHARS = { "\n": "↵", "\r": "␍", "\t": "⇥", " ": "␣" };
+
+export function escapeXML(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function wrap(text, width) {
+  const perLine = Math.max(20, Math.floor(width / CHAR_WIDTH));
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(" ")) {
+    if (line && line.length + 1 + word.length > perLine) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/* Shared layout for frames of `text` and `pattern`: column count and size.
+   `patternRow: false` leaves the pattern row out (multi-pattern and
+   approximate views, where it does not mean one window); `caption: false`
+   leaves out the action text, for handouts that print it beside the frame. */
+export function frameLayout(text, pattern, { patternRow = true, caption = true } = {}) {
+  const m = patternRow ? pattern.length : 0;
+  const columns = Math.max(1, Math.min(Math.max(text.length, m), Math.max(MIN_COLUMNS, Math.min(MAX_COLUMNS, m + 8))));
+  const width = Math.max(columns * COL - GAP + 2 * PAD, 360);
+  const rowsHeight = PAD + 20 + CELL + 10 + (patternRow ? GAP + CELL : 0);
+  const height = rowsHeight + (caption ? 64 : PAD);
+  return { columns, width, height, rowsHeight, patternRow, caption };
+}
+
+/* SVG markup of `step` (index `pos` of `total`). `found` are the match
+   starts known so far, highlighted on the text row. */
+export function stepFrameSVG(text, pattern, step, layout, { pos = 0, total = 0, found = [] } = {}) {
+  const { columns, width, height, rowsHeight, patternRow, caption } = layout;
+  const m = pattern.length;
+  const windowStart = step?.windowStart ?? 0;
+  const windowEnd = step?.windowEnd ?? windowStart + m - 1;
+  const count = Math.max(text.length, patternRow ? windowStart + m : 0);
+  // keep the window (and the compared cell) in view, a few columns from the left edge
+  const focus = step?.compareIndex ?? windowStart;
+  let first = Math.min(windowStart, focus) - 3;
+  if (Math.max(windowEnd, focus) >= first + columns) first = Math.max(windowEnd, focus) - columns + 1;
+  first = Math.max(0, Math.min(first, count - columns));
+  const foundCells = new Set();
+  for (const start of found) for (let k = 0; k < m; k++) foundCells.add(start + k);
+  const comparison = step?.lastComparison;
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">`);
+  out.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  out.push(`<text x="${PAD}" y="${PAD + 8}" font-size="12" fill="${COLORS.idx}">Step ${pos + 1}${total ? ` / ${total}` : ""}${step?.type === "pre" ? " · preprocessing" : ""}${first > 0 || first + columns < count ? ` · text[${first}..${Math.min(count, first + columns) - 1}]` : ""}</text>`);
+
+  // `match` true / false adds the ✓ / ✕ badge shown on the page
+  const cell = (x, y, ch, { fill, stroke, dashed, index, match, found }) => {
+    out.push(`<rect x="${x + 0.5}" y="${y + 0.5}" width="${CELL - 1}" height="${CELL + (index === undefined ? 0 : 10) - 1}" rx="6" fill="${fill}" stroke="${stroke}"${dashed ? ` stroke-dasharray="4 3"` : ""}/>`);
+    if (found) out.push(`<rect x="${x - 1.5}" y="${y - 1.5}" width="${CELL + 3}" height="${CELL + 13}" rx="7" fill="none" stroke="${COLORS.found}" stroke-width="2"/>`);
+    if (match !== undefined) {
+      const color = match ? COLORS.matchBorder : COLORS.mismatchBorder;
+      out.push(match
+        ? `<circle cx="${x + 7}" cy="${y + 7}" r="6" fill="${color}"/>`
+        : `<rect x="${x + 1}" y="${y + 1}" width="12" height="12" rx="2" fill="${color}"/>`);
+      out.push(`<text x="${x + 7}" y="${y + 10.5}" font-size="9" font-weight="700" text-anchor="middle" fill="#ffffff">${match ? "✓" : "✕"}</text>`);
+    }
+    out.push(`<text x="${x + CELL / 2}" y="${y + 24}" font-size="16" font-weight="700" text-anchor="middle" fill="${COLORS.ch}">${escapeXML(VISIBLE_CHARS[ch] ?? ch)}</text>`);
+    if (index !== undefined) out.push(`<text x="${x + CELL / 2}" y="${y + 42}" font-size="10" text-anchor="middle" fill="${COLORS.idx}">${index}</text>`);
+  };
+
+  const textY = PAD + 20;
+  for (let k = 0; k < columns; k++) {
+    const i = first + k;
+    if (i >= text.length) break;
+    const compared = step?.compareIndex === i;
+    let fill = "#ffffff", stroke = COLORS.border;
+    if (compared) [fill, stroke] = step.lastMatch ? [COLORS.matchBg, COLORS.matchBorder] : [COLORS.mismatchBg, COLORS.mismatchBorder];
+    cell(PAD + k * COL, textY, text[i], { fill, stroke, index: i, dashed: compared && !step.lastMatch, match: compared ? !!step.lastMatch : undefined, found: foundCells.has(i) });
+  }
+
+  if (patternRow) {
+    const patternY = textY + CELL + 10 + GAP;
+    for (let j = 0; j < m; j++) {
+      const k = windowStart + j - first;
+      if (k < 0 || k >= columns) continue;
+      const compared = comparison && comparison.patternIndex === j && comparison.textIndex === windowStart + j;
+      let fill = COLORS.patternBg, stroke = COLORS.patternBorder;
+      if (compared) [fill, stroke] = comparison.match ? [COLORS.matchBg, COLORS.matchBorder] : [COLORS.mismatchBg, COLORS.mismatchBorder];
+      cell(PAD + k * COL, patternY, pattern[j], { fill, stroke, dashed: !compared || !comparison.match });
+    }
+  }
+
+  if (caption) {
+    const lines = wrap(step?.action ?? "", width - 2 * PAD).slice(0, 3);
+    lines.forEach((line, k) => {
+      out.push(`<text x="${PAD}" y="${rowsHeight + 16 + k * 18}" font-size="14" fill="${COLORS.action}">${escapeXML(line)}</text>`);
+    });
+  }
+  out.push("</svg>");
+  return out.join("");
+}
+
+/* Frames for steps `from`..`to` (inclusive) of a trace (anything with
+   at(k)), each { pos, step, svg }; match highlights build up as found
+   steps go by. Steps before `from` are read for the matches already found. */
+export function* traceFrames(trace, text, pattern, layout, from, to, total = 0) {
+  const found = [];
+  for (let k = 0; k <= to; k++) {
+    const step = trace.at(k);
+    if (!step) return;
+    if (step.type === "found" && layout.patternRow) found.push(step.windowStart);
+    if (k >= from) yield { pos: k, step, svg: stepFrameSVG(text, pattern, step, layout, { pos: k, total, found }) };
+  }
+}
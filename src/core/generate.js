@@ -0,0 +1,257 @@
+import { computeLPS } from "./kmp.js";
+import { referenceMatches } from "./trace.js";
+
+/* ---------------- Input generation ----------------
+   Seeded, reproducible text and pattern generators: the same seed always
+   gives the same strings, so generated inputs can be shared and re-run. */
+
+/* Pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32) */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* Integer in [0, max) */
+export function randomInt(rand, max) {
+  return Math.floor(rand() * max);
+}
+
+/* `length` characters drawn uniformly from `alphabet` */
+export function randomString(rand, length, alphabet) {
+  let out = "";
+  for (let i = 0; i < length; i++) out += alphabet[randomInt(rand, alphabet.length)];
+  return out;
+}
+
+// frequent English words, so letter and word frequencies look like prose
+const WORDS = (
+  "the of and to in is was that for it with as his on be at by had are but from or have an they which one you were " +
+  "her all she there would their we him been has when who will more no if out so said what up its about into than them " +
+  "can only other new some could time these two may then do first any my now such like our over man me even most made " +
+  "after also did many before must through back years where much your way well down should because each just those people " +
+  "how too little state good very make world still own see men work long get here between both life being under never day " +
+  "same another know while last might us great old year off come since against go came right used take three pattern text " +
+  "search string match shift table window"
+).split(" ");
+
+/* Prose-like text of exactly `length` characters: random words, spaces and
+   the occasional sentence end */
+export function naturalText(rand, length) {
+  let out = "";
+  let sentence = 0;
+  while (out.length < length) {
+    let word = WORDS[randomInt(rand, WORDS.length)];
+    if (sentence === 0) word = word[0].toUpperCase() + word.slice(1);
+    sentence++;
+    out += word;
+    if (sentence > 6 && rand() < 0.15) { out += ". "; sentence = 0; }
+    else out += " ";
+  }
+  return out.slice(0, length);
+}
+
+/* ---------------- Scenarios ----------------
+   Named teaching inputs. Each one builds a background text and a pattern;
+   planted occurrences are then written over the background and any other
+   occurrence is broken up, so the matches are known before the search runs. */
+
+const LETTERS = "abcdefghijklmnopqrstuvwxyz";
+
+/* Prefix of length n of the infinite Fibonacci word abaababaabaab… */
+export function fibonacciWord(n) {
+  let [a, b] = ["a", "ab"];
+  while (b.length < n) [a, b] = [b, b + a];
+  return b.slice(0, n);
+}
+
+function repeatTo(unit, length) {
+  return unit.repeat(Math.ceil(length / unit.length)).slice(0, length);
+}
+
+/* Scenario descriptors: `background(rand, n, m, params)` and
+   `pattern(rand, m, params)` give the strings, `alphabet(params)` the
+   characters used to break up unplanned occurrences. `plants: false` keeps
+   the text as built (its occurrences come from its structure);
+   `randomPattern` lets overlapping copies give the pattern a border; `hint`
+   names the algorithm and setting the scenario is meant for. */
+export const SCENARIOS = [
+  {
+    id: "naive-worst",
+    label: "Naive worst case (aaa…a / aa…ab)",
+    hint: "Naive re-checks m characters at almost every shift; compare it with KMP in race mode.",
+    alphabet: () => "ab",
+    background: (rand, n) => "a".repeat(n),
+    pattern: (rand, m) => "a".repeat(m - 1) + "b"
+  },
+  {
+    id: "bm-worst",
+    label: "Boyer–Moore O(n·m) without good suffix (aaa…a / baa…a)",
+    hint: "Pick Boyer–Moore with the bad character rule only: every window matches m − 1 characters and shifts by 1.",
+    alphabet: () => "ab",
+    background: (rand, n) => "a".repeat(n),
+    pattern: (rand, m) => "b" + "a".repeat(m - 1)
+  },
+  {
+    id: "periodic",
+    label: "Highly periodic pattern",
+    hint: "Near misses in a periodic text: watch KMP fall back along the LPS table instead of restarting.",
+    alphabet: () => "ab",
+    // the pattern's period repeated; breaking up its occurrences leaves one defect per window
+    background: (rand, n, m, { unit }) => repeatTo(unit, n),
+    pattern: (rand, m, { unit }) => repeatTo(unit, m),
+    setup: rand => ({ unit: ["ab", "aab", "abb", "aabab"][randomInt(rand, 4)] })
+  },
+  {
+    id: "fibonacci",
+    label: "Fibonacci string",
+    hint: "The Fibonacci word is the classic near-periodic text; the pattern is its prefix, so occurrences overlap throughout.",
+    plants: false,
+    alphabet: () => "ab",
+    background: (rand, n) => fibonacciWord(n),
+    pattern: (rand, m) => fibonacciWord(m)
+  },
+  {
+    id: "random",
+    label: "Random text",
+    hint: "Over a large alphabet Boyer–Moore skips most of the text; over a small one every algorithm works harder.",
+    usesAlphabetSize: true,
+    randomPattern: true,
+    alphabet: ({ alphabetSize }) => LETTERS.slice(0, alphabetSize),
+    background: (rand, n, m, params) => randomString(rand, n, LETTERS.slice(0, params.alphabetSize)),
+    pattern: (rand, m, params) => randomString(rand, m, LETTERS.slice(0, params.alphabetSize))
+  },
+  {
+    id: "dna",
+    label: "DNA-like text",
+    hint: "Four letters with short tandem repeats, as in a genome; try Boyer–Moore and Rabin–Karp.",
+    randomPattern: true,
+    alphabet: () => "ACGT",
+    background: (rand, n) => {
+      let out = "";
+      while (out.length < n) {
+        if (rand() < 0.05) {
+          // tandem repeat such as CACACA or GGCGGCGGC
+          const unit = randomString(rand, 2 + randomInt(rand, 2), "ACGT");
+          out += unit.repeat(3 + randomInt(rand, 5));
+        } else {
+          out += randomString(rand, 1 + randomInt(rand, 12), "ACGT");
+        }
+      }
+      return out.slice(0, n);
+    },
+    pattern: (rand, m) => randomString(rand, m, "ACGT")
+  }
+];
+
+export const DEFAULT_SCENARIO_PARAMS = { n: 60, m: 5, alphabetSize: 4, seed: 1, occurrences: 3, overlap: false };
+
+/* Shortest shift at which the pattern overlaps itself: m minus its longest border */
+function periodOf(pattern) {
+  const m = pattern.length;
+  return m - computeLPS(pattern).lps[m - 1];
+}
+
+/* Start positions for `count` planted copies of a pattern of length m with
+   period `period` in a text of length n. Overlapping copies come in runs of
+   two or three spaced by the period; the gaps between runs are random. */
+function plantPositions(rand, n, m, count, period, overlap) {
+  const runs = [];
+  for (let left = count; left > 0;) {
+    const size = overlap ? Math.min(left, 2 + randomInt(rand, 2)) : 1;
+    runs.push(size);
+    left -= size;
+  }
+  const spans = runs.map(size => m + (size - 1) * period);
+  const free = n - spans.reduce((a, b) => a + b, 0);
+  if (free < 0) throw new RangeError(`${count} occurrences of a ${m}-character pattern do not fit in ${n} characters`);
+  // split the free space into runs.length + 1 gaps
+  const cuts = Array.from({ length: runs.length }, () => randomInt(rand, free + 1)).sort((a, b) => a - b);
+  const starts = [];
+  let pos = 0, prevCut = 0;
+  runs.forEach((size, r) => {
+    pos += cuts[r] - prevCut;
+    prevCut = cuts[r];
+    for (let k = 0; k < size; k++) starts.push(pos + k * period);
+    pos += spans[r];
+  });
+  return starts;
+}
+
+/* Changes one character of every occurrence that was not planted, using the
+   last position no planted copy covers and a character that creates no new
+   occurrence (`filler`, which is not in the pattern, as a last resort).
+   Occurrences made entirely of planted characters cannot be removed. */
+function breakUnplanted(chars, pattern, planted, alphabet, filler, rand) {
+  const n = chars.length, m = pattern.length;
+  const covered = new Uint8Array(n);
+  for (const s of planted) covered.fill(1, s, s + m);
+  const matchesAt = s => s >= 0 && s + m <= n && chars.slice(s, s + m).join("") === pattern;
+  const plantedSet = new Set(planted);
+  for (const s of referenceMatches(chars.join(""), pattern)) {
+    if (plantedSet.has(s) || !matchesAt(s)) continue;
+    const free = [];
+    for (let i = s; i < s + m; i++) if (!covered[i]) free.push(i);
+    if (!free.length) continue;
+    // the last free position also breaks the most occurrences further right
+    const i = free[free.length - 1];
+    const old = chars[i];
+    const options = [...alphabet].filter(c => c !== old);
+    for (let k = options.length - 1; k > 0; k--) {
+      const r = randomInt(rand, k + 1);
+      [options[k], options[r]] = [options[r], options[k]];
+    }
+    chars[i] = filler;
+    for (const c of options) {
+      chars[i] = c;
+      let creates = false;
+      for (let w = Math.max(0, i - m + 1); w <= i && !creates; w++) creates = matchesAt(w);
+      if (!creates) break;
+      chars[i] = filler;
+    }
+  }
+}
+
+/* Builds scenario `id` with params { n, m, alphabetSize, seed, occurrences,
+   overlap }. Returns { text, pattern, planted, matches, notes }: `planted`
+   are the positions written on purpose, `matches` every occurrence in the
+   result (planted ones plus any the planted copies form between them). */
+export function generateScenario(id, params = DEFAULT_SCENARIO_PARAMS) {
+  const scenario = SCENARIOS.find(s => s.id === id);
+  if (!scenario) throw new Error(`Unknown scenario "${id}"`);
+  const { n, m, seed, occurrences, overlap } = { ...DEFAULT_SCENARIO_PARAMS, ...params };
+  if (m < 1 || n < m) throw new RangeError("The text must be at least as long as the pattern");
+  const rand = createRandom(seed);
+  const all = { ...DEFAULT_SCENARIO_PARAMS, ...params, ...(scenario.setup ? scenario.setup(rand) : {}) };
+  let pattern = scenario.pattern(rand, m, all);
+  const notes = [];
+  if (overlap && occurrences > 1 && scenario.randomPattern && m > 1 && periodOf(pattern) === m) {
+    // copies can only overlap by a border: end the pattern with its own prefix
+    const border = Math.max(1, Math.floor(m / 3));
+    pattern = pattern.slice(0, m - border) + pattern.slice(0, border);
+    notes.push(`The pattern ends with its first ${border === 1 ? "character" : `${border} characters`} so that copies can overlap.`);
+  }
+  const chars = [...scenario.background(rand, n, m, all)];
+  let planted = [];
+  if (scenario.plants !== false) {
+    const period = periodOf(pattern);
+    if (overlap && occurrences > 1 && period === m) notes.push(`"${pattern}" has no border, so its occurrences cannot overlap; they were planted apart.`);
+    planted = plantPositions(rand, n, m, occurrences, period, overlap && period < m);
+    for (const s of planted) for (let k = 0; k < m; k++) chars[s + k] = pattern[k];
+    const alphabet = scenario.alphabet(all);
+    const filler = ["N", "x", "#"].find(c => !pattern.includes(c));
+    breakUnplanted(chars, pattern, planted, alphabet, filler, rand);
+  }
+  const text = chars.join("");
+  const matches = referenceMatches(text, pattern);
+  const extra = matches.length - planted.length;
+  if (scenario.plants !== false && extra > 0) {
+    notes.push(`${extra} more occurrence${extra === 1 ? "" : "s"} formed where planted copies meet.`);
+  }
+  return { text, pattern, planted, matches, notes };
+}
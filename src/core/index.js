@@ -0,0 +1,56 @@
+/* ---------------- Headless pattern matching core ----------------
+   Pure ES modules with no React or DOM dependency: import from here in
+   grading scripts, tests or other frontends. The step trace format every
+   builder emits is documented in ./trace.js. */
+
+import { kmpTrace, buildKMPSteps } from "./kmp.js";
+import { bmTrace, buildBMSteps } from "./bm.js";
+import { rkTrace, buildRKSteps } from "./rk.js";
+import { zTrace, buildZSteps } from "./z.js";
+import { naiveTrace, buildNaiveSteps } from "./naive.js";
+import { acTrace, buildACSteps, parsePatternList } from "./ahoCorasick.js";
+import { sellersTrace, bitapTrace, buildSellersSteps, buildBitapSteps } from "./approximate.js";
+
+export { WILDCARD, DEFAULT_MATCH_OPTIONS, MATCH_FLAGS, prepareInputs, createMatcher, matchNote, activeOptions } from "./options.js";
+export { lpsTrace, computeLPS, kmpTrace, buildKMPSteps } from "./kmp.js";
+export { badCharTrace, computeBadChar, badCharIndex, goodSuffixTrace, computeGoodSuffix, SHIFT_RULES, bmPreprocessTrace, goodSuffixReason, bmTrace, buildBMSteps } from "./bm.js";
+export { RK_BASE, RK_MOD, computeRKHashes, rkTrace, buildRKSteps } from "./rk.js";
+export { computeZ, zTrace, buildZSteps } from "./z.js";
+export { naiveTrace, buildNaiveSteps } from "./naive.js";
+export { BITAP_MAX_PATTERN, maxErrorsOf, sellersRow, hammingRow, DPRows, alignEnding, sellersTrace, bitapTrace, buildSellersSteps, buildBitapSteps, approximateMatches } from "./approximate.js";
+export { parsePatternList, buildAutomaton, statePath, acTrace, buildACSteps, acMatches } from "./ahoCorasick.js";
+export { compareStep, foundStep, doneStep, trivialTrace, collectTrace, runSteps, preprocessedTrace, referenceMatches, traceStats, statsCounter } from "./trace.js";
+export { LazyTrace, ArrayTrace, findNextStep, findStep, findNextStepInSlices, findStepInSlices } from "./lazy.js";
+export { validateInputs, validatePatternList, validateApproximate } from "./validate.js";
+export { matchPositions, matchesToCSV, matchesToJSON } from "./positions.js";
+export { createRandom, randomInt, randomString, naturalText, fibonacciWord, SCENARIOS, DEFAULT_SCENARIO_PARAMS, generateScenario } from "./generate.js";
+export { BENCHMARK_INPUTS, benchmarkInput, benchmarkPoints, measure, measureCounter, naiveComparisons, naiveCounter, benchmarkToCSV } from "./benchmark.js";
+export { QUESTION_KINDS, kmpQuestion, bmQuestion } from "./quiz.js";
+export { frameLayout, stepFrameSVG, traceFrames, escapeXML } from "./frames.js";
+export { buildSuffixIndex, querySuffixIndex } from "./suffixArray.js";
+export { SANDBOX_MAX_CALLS, SANDBOX_TIME_LIMIT_MS, SANDBOX_EXAMPLES, recordCalls, sandboxTrace, verifyMatches } from "./sandbox.js";
+
+/* Builders by algorithm id, same ids as the UI registry, called as
+   (text, pattern, options). AC takes the pattern as a comma separated keyword list. */
+export const BUILDERS = {
+  KMP: buildKMPSteps,
+  BM: buildBMSteps,
+  RK: buildRKSteps,
+  Z: buildZSteps,
+  NAIVE: buildNaiveSteps,
+  AC: (text, pattern, options) => buildACSteps(text, parsePatternList(pattern), options),
+  SELLERS: buildSellersSteps,
+  BITAP: buildBitapSteps
+};
+
+/* Step generators by algorithm id, for LazyTrace */
+export const TRACES = {
+  KMP: kmpTrace,
+  BM: bmTrace,
+  RK: rkTrace,
+  Z: zTrace,
+  NAIVE: naiveTrace,
+  AC: (text, pattern, resume, checkpoint, options) => acTrace(text, parsePatternList(pattern), resume, checkpoint, options),
+  SELLERS: sellersTrace,
+  BITAP: bitapTrace
+};
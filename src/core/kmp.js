@@ -0,0 +1,156 @@
+import { compareStep, foundStep, doneStep, trivialTrace, collectTrace, runSteps } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+
+/* KMP preprocessing as "pre" steps (see ./trace.js): i walks the pattern,
+   len is the length of the border being extended, and every comparison,
+   fallback and lps[i] entry is a step. Characters are compared by their
+   case-folded key when ignoreCase is on; patterns with '?' wildcards use
+   wildcardLPSTrace. Returns { lps } ({ lps, verified } with wildcards). */
+export function* lpsTrace(p, options = DEFAULT_MATCH_OPTIONS) {
+  const matcher = createMatcher(options);
+  if (matcher.hasWildcards(p)) return yield* wildcardLPSTrace(p, matcher);
+  const { key } = matcher;
+  const n = p.length;
+  const lps = Array(n).fill(0);
+  let len = 0;
+  let i = 1;
+  let seq = 0;
+  const step = (action, summary, set = null, extra = {}) =>
+    ({ type: "pre", table: "lps", seq: seq++, i, len, set, windowStart: 0, windowEnd: n - 1, action, summary, ...extra });
+  if (n) yield step(`lps[0] = 0: a single character has no proper border`, `lps[0] = 0`, { index: 0, value: 0 }, { i: 0 });
+  while (i < n) {
+    const match = key(p[i]) === key(p[len]);
+    yield step(`Compare p[${i}]='${p[i]}' with p[${len}]='${p[len]}'`, `LPS: p[${i}] vs p[${len}]`, null, { match });
+    if (match) {
+      len++;
+      lps[i] = len;
+      yield step(`Match${p[i] !== p[len - 1] ? " (case ignored)" : ""} -> lps[${i}] = ${len}`, `lps[${i}] = ${len}`, { index: i, value: len });
+      i++;
+    } else {
+      if (len !== 0) {
+        const from = len;
+        len = lps[len - 1];
+        yield step(`Mismatch -> fallback len from ${from} to lps[${from - 1}] = ${len}`, `LPS: len to ${len}`);
+      } else {
+        lps[i] = 0;
+        yield step(`Mismatch with len = 0 -> set lps[${i}] = 0`, `lps[${i}] = 0`, { index: i, value: 0 });
+        i++;
+      }
+    }
+  }
+  return { lps };
+}
+
+/* KMP: compute LPS, with the action of every preprocessing step as `log` */
+export function computeLPS(p, options = DEFAULT_MATCH_OPTIONS) {
+  const log = [];
+  const table = runSteps(lpsTrace(p, options), step => log.push(step.action));
+  return { ...table, log };
+}
+
+/* With '?' wildcards equality is not transitive, so borders are only
+   "compatible": text that matched p[u] may or may not match p[t] when either
+   one is a wildcard. lps[j] is the longest compatible border of p[0..j], which
+   gives the smallest shift that cannot skip an occurrence, and verified[j]
+   how much of that border is certain to match; the search re-checks the rest
+   (so the text pointer may step back). O(m²); one step per entry. */
+function* wildcardLPSTrace(p, matcher) {
+  const { key, isWildcard } = matcher;
+  const m = p.length;
+  const compatible = (t, u) => isWildcard(p[t]) || isWildcard(p[u]) || key(p[t]) === key(p[u]);
+  // any text character that matched p[u] also matches p[t]
+  const certain = (t, u) => isWildcard(p[t]) || (!isWildcard(p[u]) && key(p[t]) === key(p[u]));
+  // for the pattern shifted by d: first offset that is incompatible / uncertain
+  const reach = Array(m).fill(0);
+  const sure = Array(m).fill(0);
+  for (let d = 1; d < m; d++) {
+    while (d + reach[d] < m && compatible(reach[d], d + reach[d])) reach[d]++;
+    while (d + sure[d] < m && certain(sure[d], d + sure[d])) sure[d]++;
+  }
+  const lps = Array(m).fill(0);
+  const verified = Array(m).fill(0);
+  let seq = 0;
+  const step = (i, action, summary, set = null) =>
+    ({ type: "pre", table: "lps", seq: seq++, i, len: set ? set.value : 0, set, windowStart: 0, windowEnd: m - 1, action, summary });
+  yield step(0, `Pattern has '?' wildcards: borders are checked for compatibility, O(m²)`, `LPS with wildcards`, { index: 0, value: 0, verified: 0 });
+  for (let j = 1; j < m; j++) {
+    const d = reach.findIndex((r, k) => k >= 1 && k <= j && k + r > j);
+    if (d === -1) {
+      yield step(j, `No compatible border of p[0..${j}] -> lps[${j}] = 0`, `lps[${j}] = 0`, { index: j, value: 0, verified: 0 });
+      continue;
+    }
+    lps[j] = j + 1 - d;
+    verified[j] = Math.min(sure[d], lps[j]);
+    yield step(j, verified[j] < lps[j]
+      ? `Border p[0..${lps[j] - 1}] ~ p[${d}..${j}] -> lps[${j}] = ${lps[j]}, only ${verified[j]} certain because of '?'`
+      : `Border p[0..${lps[j] - 1}] = p[${d}..${j}] -> lps[${j}] = ${lps[j]}`,
+      `lps[${j}] = ${lps[j]}`, { index: j, value: lps[j], verified: verified[j] });
+  }
+  return { lps, verified };
+}
+
+/* KMP step generator; resumable from { i, j }. Fallback shift steps also
+   carry j before and after and the border lps[j - 1] it used. */
+export function* kmpTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialTrace(text, pattern);
+  if (trivial) { yield* trivial.steps; return; }
+  const matcher = createMatcher(options);
+  const { lps, verified = lps } = computeLPS(pattern, options);
+  const m = pattern.length;
+  let { i, j } = resume ?? { i: 0, j: 0 };
+  let windowStart = i - j; // window of the last yielded step
+  while (i < text.length) {
+    checkpoint({ i, j });
+    const match = matcher.equal(text[i], pattern[j]);
+    windowStart = i - j;
+    yield compareStep(i - j, m, i, j, match, `Compare text[${i}]='${text[i]}' with pattern[${j}]='${pattern[j]}'${matchNote(matcher, text[i], pattern[j])}`);
+    if (match) {
+      i++; j++;
+      if (j === m) {
+        const start = i - j;
+        windowStart = start;
+        yield foundStep(start, m);
+        // unverified wildcard positions of the border are compared again
+        const border = lps[j - 1];
+        i -= border - verified[j - 1];
+        j = verified[j - 1];
+      }
+    } else {
+      if (j !== 0) {
+        const oldj = j;
+        const border = lps[j - 1];
+        const from = i - oldj;
+        j = verified[oldj - 1];
+        i = i - border + j;
+        windowStart = i - j;
+        yield {
+          type: "shift",
+          action: j < border
+            ? `Mismatch -> fallback to a border of ${border}; ${border - j} of its characters came from '?' positions, re-check from text[${i}]`
+            : `Mismatch -> fallback j from ${oldj} to ${j}`,
+          summary: `Fallback j to ${j}`,
+          windowStart: i - j,
+          windowEnd: i - j + m - 1,
+          shift: { from, to: i - j, reason: "fallback", j: oldj, nextJ: j, border }
+        };
+      } else {
+        windowStart = i + 1;
+        yield {
+          type: "shift",
+          action: `Mismatch and j=0 -> i++`,
+          summary: `Increment i`,
+          windowStart: i + 1,
+          windowEnd: i + m,
+          shift: { from: i, to: i + 1, reason: "advance" }
+        };
+        i++;
+      }
+    }
+  }
+  yield doneStep(windowStart, m);
+}
+
+/* Build KMP steps */
+export function buildKMPSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(kmpTrace(text, pattern, null, undefined, options));
+}
@@ -0,0 +1,249 @@
+/* ---------------- Lazy traces ----------------
+   LazyTrace gives random access to a step generator (see ./trace.js) without
+   materializing it. Steps are produced on demand into a bounded buffer; every
+   `checkpointEvery` steps the generator's resume state is remembered, so a
+   seek restarts from the nearest checkpoint instead of from step 0. Memory is
+   O(buffer + n / checkpointEvery) however long the trace is.
+
+   ArrayTrace exposes the same interface over an already built { steps, matches },
+   for algorithms that only provide buildSteps. */
+
+export class LazyTrace {
+  /* start(resume, checkpoint) -> iterator of steps */
+  constructor(start, { checkpointEvery = 512, bufferSize = 4096 } = {}) {
+    this.start = start;
+    this.checkpointEvery = checkpointEvery;
+    this.bufferSize = bufferSize;
+    this.checkpoints = [{ index: 0, comparisons: 0, state: null }];
+    this.frontier = 0; // steps seen so far by any cursor
+    this.complete = false;
+    this.matches = [];
+    this.totalComparisons = 0; // over the first `frontier` steps
+    this.buffer = [];
+    this.bufferComparisons = []; // comparisons before each buffered step
+    this.bufferStart = 0;
+    this.reader = null;
+    this.scout = null;
+  }
+
+  /* Known number of steps: exact once `complete`, a lower bound before */
+  get length() {
+    return this.frontier;
+  }
+
+  open(checkpoint) {
+    const cursor = { index: checkpoint.index, comparisons: checkpoint.comparisons, iter: null, done: false };
+    cursor.iter = this.start(checkpoint.state, state => this.record(cursor, state));
+    return cursor;
+  }
+
+  record(cursor, state) {
+    const last = this.checkpoints[this.checkpoints.length - 1];
+    if (cursor.index >= last.index + this.checkpointEvery) {
+      this.checkpoints.push({ index: cursor.index, comparisons: cursor.comparisons, state: { ...state } });
+    }
+  }
+
+  checkpointBefore(index) {
+    let lo = 0, hi = this.checkpoints.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.checkpoints[mid].index <= index) lo = mid; else hi = mid - 1;
+    }
+    return this.checkpoints[lo];
+  }
+
+  /* Next step of a cursor as { index, step, comparisonsBefore }, or null at the end */
+  advance(cursor) {
+    if (cursor.done) return null;
+    const { value: step, done } = cursor.iter.next();
+    if (done) {
+      cursor.done = true;
+      if (cursor.index >= this.frontier) this.complete = true;
+      return null;
+    }
+    const out = { index: cursor.index, step, comparisonsBefore: cursor.comparisons };
+    if (step.lastComparison) cursor.comparisons++;
+    cursor.index++;
+    if (cursor.index > this.frontier) {
+      this.frontier = cursor.index;
+      if (step.lastComparison) this.totalComparisons++;
+      if (step.type === "found") this.matches.push(step.windowStart);
+    }
+    return out;
+  }
+
+  /* Step k, generating it if needed; undefined past the end */
+  at(k) {
+    if (k < 0) return undefined;
+    if (k >= this.bufferStart && k < this.bufferStart + this.buffer.length) {
+      return this.buffer[k - this.bufferStart];
+    }
+    const reader = this.reader;
+    if (!reader || k < reader.index || k - reader.index > this.bufferSize) {
+      // leave half a buffer behind k so stepping backwards stays cheap
+      const cp = this.checkpointBefore(Math.max(0, k - (this.bufferSize >> 1)));
+      this.reader = this.open(cp);
+      this.buffer = [];
+      this.bufferComparisons = [];
+      this.bufferStart = cp.index;
+    }
+    while (this.reader.index <= k) {
+      const next = this.advance(this.reader);
+      if (!next) return undefined;
+      if (k - next.index >= this.bufferSize) {
+        // far behind the target: generate but do not keep
+        if (this.buffer.length) { this.buffer = []; this.bufferComparisons = []; }
+        this.bufferStart = next.index + 1;
+        continue;
+      }
+      this.buffer.push(next.step);
+      this.bufferComparisons.push(next.comparisonsBefore);
+    }
+    if (this.buffer.length > 2 * this.bufferSize) {
+      const drop = this.buffer.length - this.bufferSize;
+      this.buffer.splice(0, drop);
+      this.bufferComparisons.splice(0, drop);
+      this.bufferStart += drop;
+    }
+    return this.buffer[k - this.bufferStart];
+  }
+
+  /* Comparisons made in steps 0..k inclusive */
+  comparisonsUpTo(k) {
+    const step = this.at(k);
+    if (!step) return this.totalComparisons;
+    return this.bufferComparisons[k - this.bufferStart] + (step.lastComparison ? 1 : 0);
+  }
+
+  /* [index, step] pairs from `from` on, with a cursor of its own */
+  *entries(from = 0) {
+    const cursor = this.open(this.checkpointBefore(from));
+    let next;
+    while ((next = this.advance(cursor))) {
+      if (next.index >= from) yield [next.index, next.step];
+    }
+  }
+
+  /* Extends the known trace for about `budgetMs`; true once the end is reached */
+  scan(budgetMs = 12) {
+    if (this.complete) return true;
+    if (!this.scout || this.scout.done) {
+      this.scout = this.open(this.checkpoints[this.checkpoints.length - 1]);
+    }
+    const deadline = Date.now() + budgetMs;
+    let n = 0;
+    while (!this.complete) {
+      if (!this.advance(this.scout)) break;
+      if (++n % 256 === 0 && Date.now() > deadline) break;
+    }
+    return this.complete;
+  }
+}
+
+export class ArrayTrace {
+  constructor(steps, matches = []) {
+    this.steps = steps;
+    this.matches = matches;
+    this.complete = true;
+    this.prefix = []; // comparisons in steps 0..i
+    let count = 0;
+    for (const step of steps) {
+      if (step.lastComparison) count++;
+      this.prefix.push(count);
+    }
+    this.totalComparisons = count;
+  }
+
+  get length() {
+    return this.steps.length;
+  }
+
+  at(k) {
+    return this.steps[k];
+  }
+
+  comparisonsUpTo(k) {
+    return this.prefix[Math.min(k, this.prefix.length - 1)] ?? 0;
+  }
+
+  *entries(from = 0) {
+    for (let i = Math.max(0, from); i < this.steps.length; i++) yield [i, this.steps[i]];
+  }
+
+  scan() {
+    return true;
+  }
+}
+
+/* Predicates used by the "jump to next ..." playback buttons */
+const STEP_KINDS = {
+  match: step => step.type === "found",
+  mismatch: step => step.lastComparison?.match === false,
+  shift: (step, prev) => step.windowStart !== undefined && prev !== undefined && step.windowStart !== prev
+};
+
+/* The searches below as generators: they yield after every step looked at
+   and return the index found, or -1 */
+function* nextStepSearch(trace, from, kind) {
+  const test = STEP_KINDS[kind];
+  const source = Array.isArray(trace) ? new ArrayTrace(trace) : trace;
+  let prevWindow;
+  for (const [i, step] of source.entries(from)) {
+    if (i > from && test(step, prevWindow)) return i;
+    if (step.windowStart !== undefined) prevWindow = step.windowStart;
+    yield;
+  }
+  return -1;
+}
+
+function* stepSearch(trace, predicate, from) {
+  const source = Array.isArray(trace) ? new ArrayTrace(trace) : trace;
+  for (const [i, step] of source.entries(from)) {
+    if (predicate(step)) return i;
+    yield;
+  }
+  return -1;
+}
+
+function runSearch(search) {
+  let next;
+  while (!(next = search.next()).done);
+  return next.value;
+}
+
+// runs a search for about `budgetMs` at a time, letting the page update in between
+async function runSearchInSlices(search, job, budgetMs) {
+  for (;;) {
+    const deadline = Date.now() + budgetMs;
+    let next, n = 0;
+    while (!(next = search.next()).done) {
+      if (++n % 256 === 0 && Date.now() > deadline) break;
+    }
+    if (next.done) return next.value;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (job.stopped) return null;
+  }
+}
+
+/* Index of the first step after `from` of the given kind, or -1.
+   `trace` is a LazyTrace, an ArrayTrace or a plain steps array. */
+export function findNextStep(trace, from, kind) {
+  return runSearch(nextStepSearch(trace, from, kind));
+}
+
+/* Index of the first step at or after `from` satisfying `predicate`, or -1 */
+export function findStep(trace, predicate, from = 0) {
+  return runSearch(stepSearch(trace, predicate, from));
+}
+
+/* findNextStep and findStep for long traces: the search runs in slices of
+   about `budgetMs` so the page stays responsive, and resolves to the index,
+   -1, or null once `job.stopped` has been set */
+export function findNextStepInSlices(trace, from, kind, job = { stopped: false }, budgetMs = 12) {
+  return runSearchInSlices(nextStepSearch(trace, from, kind), job, budgetMs);
+}
+
+export function findStepInSlices(trace, predicate, from = 0, job = { stopped: false }, budgetMs = 12) {
+  return runSearchInSlices(stepSearch(trace, predicate, from), job, budgetMs);
+}
@@ -0,0 +1,35 @@
+import { compareStep, foundStep, doneStep, trivialTrace, collectTrace } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+
+/* Naive step generator: try every alignment, compare left to right; resumable from { s } */
+export function* naiveTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialTrace(text, pattern);
+  if (trivial) { yield* trivial.steps; return; }
+  const matcher = createMatcher(options);
+  const n = text.length, m = pattern.length;
+  for (let s = resume?.s ?? 0; s <= n - m; s++) {
+    checkpoint({ s });
+    yield {
+      type: "align",
+      windowStart: s,
+      windowEnd: s + m - 1,
+      ...(s > 0 && { shift: { from: s - 1, to: s, reason: "next-window" } }),
+      action: `Align pattern at s=${s}`,
+      summary: `Window [${s}, ${s + m - 1}]`
+    };
+    let j = 0;
+    while (j < m) {
+      const match = matcher.equal(text[s + j], pattern[j]);
+      yield compareStep(s, m, s + j, j, match, `Compare text[${s + j}]='${text[s + j]}' with pattern[${j}]='${pattern[j]}'${matchNote(matcher, text[s + j], pattern[j])}`);
+      if (!match) break;
+      j++;
+    }
+    if (j === m) yield foundStep(s, m);
+  }
+  yield doneStep(n - m, m);
+}
+
+/* Build naive steps */
+export function buildNaiveSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(naiveTrace(text, pattern, null, undefined, options));
+}
@@ -0,0 +1,65 @@
+/* ---------------- Matching options ----------------
+   ignoreCase  characters equal after case folding ('a' ~ 'A')
+   wildcard    '?' in the pattern matches any single text character
+   normalize   text and pattern are converted to Unicode NFKC before the search,
+               so positions refer to the normalized strings
+   maxErrors   k, the edits / mismatches allowed by the approximate algorithms
+   shiftRule   Boyer–Moore shift rule, one of SHIFT_RULES in ./bm.js
+
+   Builders take the options object as their last argument and compare through
+   a matcher, so preprocessing tables and the comparison grid agree with the
+   search. With every option off the matcher is plain ===. */
+
+export const WILDCARD = "?";
+
+export const DEFAULT_MATCH_OPTIONS = { ignoreCase: false, wildcard: false, normalize: false, maxErrors: 1, shiftRule: "both" };
+
+// on/off options; maxErrors and shiftRule are algorithm parameters
+export const MATCH_FLAGS = ["ignoreCase", "wildcard", "normalize"];
+
+/* Strings the search actually runs on */
+export function prepareInputs(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  if (!options.normalize) return { text, pattern };
+  return { text: text.normalize("NFKC"), pattern: pattern.normalize("NFKC") };
+}
+
+/* Comparison rules for one set of options:
+   key(c)           folded form used for table lookups (bad-character, LPS, Z)
+   isWildcard(p)    pattern character p matches anything
+   equal(t, p)      text character t matches pattern character p
+   reason(t, p)     "wildcard" / "case" when equal(t, p) holds only because of
+                    an option, otherwise null */
+export function createMatcher(options = DEFAULT_MATCH_OPTIONS) {
+  const { ignoreCase, wildcard } = options;
+  // upper then lower folds 'ſ' and 'K' (Kelvin) onto 's' and 'k' as well
+  const key = ignoreCase ? c => (c === undefined ? c : c.toUpperCase().toLowerCase()) : c => c;
+  const isWildcard = p => Boolean(wildcard) && p === WILDCARD;
+  const reason = (t, p) => {
+    if (t === p || t === undefined) return null;
+    if (isWildcard(p)) return "wildcard";
+    if (ignoreCase && key(t) === key(p)) return "case";
+    return null;
+  };
+  return {
+    options,
+    key,
+    isWildcard,
+    equal: (t, p) => t === p || reason(t, p) !== null,
+    reason,
+    // wildcards make equality non-transitive, which the classic tables rely on
+    hasWildcards: pattern => Boolean(wildcard) && pattern.includes(WILDCARD)
+  };
+}
+
+/* Suffix for a step's action text when a comparison only succeeded because of an option */
+export function matchNote(matcher, t, p) {
+  const why = matcher.reason(t, p);
+  if (why === "wildcard") return ` (match only because '${WILDCARD}' is a wildcard)`;
+  if (why === "case") return ` (match only because case is ignored: '${t}' ~ '${p}')`;
+  return "";
+}
+
+/* Flags that are switched on, for labels and summaries */
+export function activeOptions(options = DEFAULT_MATCH_OPTIONS) {
+  return MATCH_FLAGS.filter(name => options[name]);
+}
@@ -0,0 +1,50 @@
+/* Line / column coordinates (both 1-based) for match start indices.
+   Lines are split on "\n"; a "\r" before it counts as the last column. */
+export function matchPositions(text, matches) {
+  const lineStarts = [0];
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) lineStarts.push(i + 1);
+  return matches.map(index => {
+    let lo = 0, hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid; else hi = mid - 1;
+    }
+    return { index, line: lo + 1, column: index - lineStarts[lo] + 1 };
+  });
+}
+
+function csvField(value) {
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* Fields of an occurrence besides index and match (e.g. end, cost) */
+function extraFields(occurrences) {
+  return occurrences.length ? Object.keys(occurrences[0]).filter(key => key !== "index" && key !== "match") : [];
+}
+
+/* Exports of occurrences [{ index, match, ... }], match being the text found
+   there (it can differ from the pattern with matching options, and differs
+   per keyword in multi-pattern search). Extra fields such as the end and
+   cost of approximate matches become additional columns / properties.
+   CSV has one row per match. */
+export function matchesToCSV(text, occurrences) {
+  const extra = extraFields(occurrences);
+  const rows = [["index", "line", "column", "match", ...extra].join(",")];
+  const positions = matchPositions(text, occurrences.map(o => o.index));
+  positions.forEach(({ index, line, column }, k) => {
+    const o = occurrences[k];
+    rows.push([index, line, column, csvField(o.match), ...extra.map(key => csvField(o[key]))].join(","));
+  });
+  return rows.join("\n") + "\n";
+}
+
+export function matchesToJSON(text, occurrences, algorithm) {
+  const positions = matchPositions(text, occurrences.map(o => o.index));
+  return JSON.stringify({
+    algorithm,
+    textLength: text.length,
+    count: occurrences.length,
+    matches: positions.map((p, k) => ({ ...p, ...occurrences[k] }))
+  }, null, 2);
+}
@@ -0,0 +1,93 @@
+/* ---------------- Practice questions ----------------
+   Decision points of a trace as questions: before a step is shown the
+   learner predicts the number it computes, and the answer is graded against
+   the builder's output. A question is
+     { kind, prompt, answer, reasoning }
+   with `kind` one of QUESTION_KINDS and `answer` a whole number. */
+
+import { DEFAULT_MATCH_OPTIONS, createMatcher } from "./options.js";
+
+export const QUESTION_KINDS = [
+  { id: "lps", label: "Next LPS value" },
+  { id: "kmp-fallback", label: "KMP next j" },
+  { id: "bm-shift", label: "BM shift amount" }
+];
+
+/* KMP: every lps[i] entry after lps[0], and j after a fallback. With '?'
+   wildcards in the pattern lps holds compatible borders (see core/kmp.js):
+   the prefix need only agree with the suffix where neither has a '?'. */
+export function kmpQuestion(step, text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const wildcards = createMatcher(options).hasWildcards(pattern);
+  if (step.type === "pre" && step.table === "lps" && step.set && step.set.index > 0) {
+    const { index: i, value } = step.set;
+    const prefix = pattern.slice(0, i + 1);
+    const reasoning = wildcards
+      ? (value
+        ? `"${prefix.slice(0, value)}" is compatible with the suffix "${prefix.slice(-value)}" ('?' matches any character), and no longer proper prefix is, so lps[${i}] = ${value}.`
+        : `No proper prefix of "${prefix}" is compatible with the suffix of the same length, so lps[${i}] = 0.`)
+      : (value
+        ? `"${prefix.slice(0, value)}" starts and ends "${prefix}", and no longer proper prefix does, so lps[${i}] = ${value}.`
+        : `No proper prefix of "${prefix}" is also a suffix, so lps[${i}] = 0.`);
+    return {
+      kind: "lps",
+      prompt: wildcards
+        ? `What is lps[${i}], the length of the longest proper prefix of "${prefix}" compatible with the suffix of the same length, '?' matching any character?`
+        : `What is lps[${i}], the length of the longest proper prefix of "${prefix}" that is also a suffix?`,
+      answer: value,
+      reasoning: `${reasoning} Builder: ${step.action}.`
+    };
+  }
+  if (step.type === "shift" && step.shift?.reason === "fallback") {
+    const { j, nextJ, border } = step.shift;
+    const matched = pattern.slice(0, j);
+    const relation = wildcards
+      ? `the prefix "${matched.slice(0, border)}" is compatible with the suffix "${matched.slice(j - border)}" of the matched "${matched}" ('?' matching any character)`
+      : `"${matched.slice(0, border)}" is both a prefix and a suffix of the matched "${matched}"`;
+    let reasoning = !border
+      ? `lps[${j - 1}] = 0: no proper prefix of the matched "${matched}" is ${wildcards ? "compatible with" : "also"} a suffix, so the search restarts at j = 0 with the same text character.`
+      : nextJ < border
+        ? `lps[${j - 1}] = ${border}: ${relation}, so the window moves to line that border up with the text.`
+        : `lps[${j - 1}] = ${border}: ${relation}, so its ${border} characters already line up with the text and the search continues at j = ${border}.`;
+    if (nextJ < border) reasoning += ` Only ${nextJ} of its characters are certain because of '?' wildcards, so j = ${nextJ} and the rest is compared again.`;
+    return {
+      kind: "kmp-fallback",
+      prompt: `pattern[${j}] mismatched after ${j} matching character${j === 1 ? "" : "s"} ("${matched}"). Which j does KMP compare next?`,
+      answer: nextJ,
+      reasoning
+    };
+  }
+  return null;
+}
+
+/* Boyer–Moore: the length of every shift */
+export function bmQuestion(step, text, pattern) {
+  if (step.type !== "shift" || !step.shift) return null;
+  const { from, to, rule, mismatchIndex: j, textIndex, lastOccurrence: last, badCharacter, goodSuffix } = step.shift;
+  const m = pattern.length;
+  const parts = [];
+  if (badCharacter !== null) {
+    const c = `'${text[textIndex]}'`;
+    if (rule === "horspool") {
+      parts.push(last >= 0
+        ? `Horspool: ${c} under the last cell last occurs at p[${last}] within p[0..${m - 2}], m − 1 − ${last} = ${badCharacter}`
+        : `Horspool: ${c} under the last cell does not occur in p[0..${m - 2}], shift m = ${badCharacter}`);
+    } else {
+      parts.push(last >= 0
+        ? `bad character: ${c} last occurs at p[${last}], max(1, ${j} − ${last}) = ${badCharacter}`
+        : `bad character: ${c} does not occur in the pattern, j + 1 = ${badCharacter}`);
+    }
+  }
+  if (goodSuffix !== null) parts.push(`good suffix: good[${j === null ? 0 : j + 1}] = ${goodSuffix}`);
+  let reasoning = parts.length > 1
+    ? `${parts.join("; ")}. The larger shift, ${to - from}, is taken.`
+    : parts.length ? `${parts[0]}.` : `The whole window matched and only the bad character rule is on, so the pattern moves by 1.`;
+  reasoning = reasoning[0].toUpperCase() + reasoning.slice(1);
+  return {
+    kind: "bm-shift",
+    prompt: j === null
+      ? `The window at s = ${from} matched completely. How far does the pattern shift?`
+      : `pattern[${j}]='${pattern[j]}' mismatched text[${from + j}]='${text[from + j]}' in the window at s = ${from}. How far does the pattern shift?`,
+    answer: to - from,
+    reasoning
+  };
+}
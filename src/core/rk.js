@@ -0,0 +1,96 @@
+import { compareStep, foundStep, doneStep, trivialTrace, collectTrace } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+
+/* Rabin-Karp: rolling hash over every window of length m */
+export const RK_BASE = 256;
+export const RK_MOD = 101;
+
+/* Character code that is hashed: of the case-folded key when ignoreCase is on
+   (a collision of two folded keys only costs a spurious hit) */
+function hashCode(matcher) {
+  return matcher.options.ignoreCase ? (s, i) => matcher.key(s[i]).charCodeAt(0) : (s, i) => s.charCodeAt(i);
+}
+
+/* base^(m-1) mod q (weight of the outgoing character) and the hashes of the pattern and first window */
+function rkSetup(text, pattern, code) {
+  const m = pattern.length;
+  let high = 1;
+  for (let i = 0; i < m - 1; i++) high = (high * RK_BASE) % RK_MOD;
+  let patternHash = 0, windowHash = 0;
+  for (let i = 0; i < m && m <= text.length; i++) {
+    patternHash = (patternHash * RK_BASE + code(pattern, i)) % RK_MOD;
+    windowHash = (windowHash * RK_BASE + code(text, i)) % RK_MOD;
+  }
+  return { high, patternHash, windowHash };
+}
+
+/* Hash of window s + 1 from the hash of window s */
+function rollHash(text, m, s, hash, high, code) {
+  const next = (RK_BASE * (hash - code(text, s) * high) + code(text, s + m)) % RK_MOD;
+  return next < 0 ? next + RK_MOD : next;
+}
+
+/* Window hashes for the preprocessing table; only the first `limit` windows */
+export function computeRKHashes(text, pattern, limit = Infinity, options = DEFAULT_MATCH_OPTIONS) {
+  const n = text.length, m = pattern.length;
+  const code = hashCode(createMatcher(options));
+  const { high, patternHash, windowHash: first } = rkSetup(text, pattern, code);
+  const windowHashes = [];
+  let windowHash = first;
+  for (let s = 0; s <= n - m && s < limit; s++) {
+    windowHashes.push(windowHash);
+    if (s < n - m) windowHash = rollHash(text, m, s, windowHash, high, code);
+  }
+  return { base: RK_BASE, mod: RK_MOD, high, patternHash, windowHashes, windowCount: Math.max(0, n - m + 1) };
+}
+
+/* Rabin-Karp step generator: hash check per window, verify characters on a hit;
+   resumable from { s, windowHash }. A '?' cannot be hashed as "any character",
+   so of the matching options only ignoreCase applies. */
+export function* rkTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialTrace(text, pattern);
+  if (trivial) { yield* trivial.steps; return; }
+  const matcher = createMatcher({ ...options, wildcard: false });
+  const code = hashCode(matcher);
+  const n = text.length, m = pattern.length;
+  const setup = rkSetup(text, pattern, code);
+  const { high, patternHash } = setup;
+  let s = resume?.s ?? 0;
+  let h = resume?.windowHash ?? setup.windowHash;
+  for (; s <= n - m; s++) {
+    if (s > 0 && !(resume && s === resume.s)) h = rollHash(text, m, s - 1, h, high, code);
+    checkpoint({ s, windowHash: h });
+    const hit = h === patternHash;
+    const prefix = s === 0
+      ? `Initial window hash`
+      : `Roll hash (drop '${text[s - 1]}', add '${text[s + m - 1]}')`;
+    yield {
+      type: "hash",
+      windowStart: s,
+      windowEnd: s + m - 1,
+      hash: h,
+      ...(s > 0 && { shift: { from: s - 1, to: s, reason: "next-window" } }),
+      action: `${prefix}: window hash ${h} ${hit ? "=" : "≠"} pattern hash ${patternHash}`,
+      summary: hit ? `Hash hit at s=${s}` : `Hash miss at s=${s}`
+    };
+    if (!hit) continue;
+    let j = 0;
+    while (j < m) {
+      const match = matcher.equal(text[s + j], pattern[j]);
+      yield compareStep(s, m, s + j, j, match, `Verify text[${s + j}]='${text[s + j]}' with pattern[${j}]='${pattern[j]}'${matchNote(matcher, text[s + j], pattern[j])}`);
+      if (!match) break;
+      j++;
+    }
+    if (j === m) {
+      yield foundStep(s, m);
+    } else {
+      yield { type: "spurious", windowStart: s, windowEnd: s + m - 1, action: `Spurious hit at s=${s}: hashes equal but characters differ`, summary: `Spurious hit at ${s}` };
+    }
+  }
+  yield doneStep(n - m, m);
+}
+
+/* Build Rabin-Karp steps */
+export function buildRKSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(rkTrace(text, pattern, null, undefined, options));
+}
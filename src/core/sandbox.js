@@ -0,0 +1,181 @@
+/* ---------------- Custom algorithm sandbox ----------------
+   A user-written matcher runs as a function body with text and pattern in
+   scope and three instrumented calls:
+     compare(i, j)       text[i] vs pattern[j] under the matching options, returns true / false
+     shift(to, reason)   moves the window so pattern[0] sits under text[to]
+     report(match)       declares an occurrence starting at text[match]
+   recordCalls runs the code and records every call; sandboxTrace turns the
+   record into the usual step trace (./trace.js) and verifyMatches checks the
+   reported starts against referenceMatches. The browser runs recordCalls in
+   a Web Worker without network access (src/sandboxWorker.js); the page
+   enforces the time limit. */
+
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+import { compareStep, foundStep, doneStep, referenceMatches } from "./trace.js";
+
+// instrumented calls recorded before the run is stopped
+export const SANDBOX_MAX_CALLS = 20000;
+// wall-clock limit of one run, enforced by terminating the worker
+export const SANDBOX_TIME_LIMIT_MS = 2000;
+
+export const SANDBOX_EXAMPLES = [
+  {
+    id: "naive",
+    label: "Naive",
+    code: `// In scope: text, pattern, compare(i, j), shift(to, reason), report(match)
+const n = text.length, m = pattern.length;
+for (let s = 0; s <= n - m; s++) {
+  if (s > 0) shift(s, "next window");
+  let j = 0;
+  while (j < m && compare(s + j, j)) j++;
+  if (j === m) report(s);
+}
+`
+  },
+  {
+    id: "horspool",
+    label: "Horspool",
+    code: `// Boyer–Moore–Horspool: compare right to left, shift by the character under the window's end
+const n = text.length, m = pattern.length;
+const last = new Map();
+for (let j = 0; j < m - 1; j++) last.set(pattern[j], j);
+let s = 0;
+while (s <= n - m) {
+  let j = m - 1;
+  while (j >= 0 && compare(s + j, j)) j--;
+  if (j < 0) report(s);
+  const c = text[s + m - 1];
+  const next = s + m - 1 - (last.has(c) ? last.get(c) : -1);
+  if (next > n - m) break;
+  shift(next, \`'\${c}' under the window's end\`);
+  s = next;
+}
+`
+  }
+];
+
+// thrown into the user code once the call budget is spent
+class CallLimit extends Error {}
+
+function checkIndex(name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new RangeError(`${name} must be an integer in 0..${max}, got ${value}`);
+  }
+}
+
+/* Runs `code` against text and pattern and records its calls:
+   { calls, error, truncated }. calls are { op: "compare", i, j, match },
+   { op: "shift", to, reason } and { op: "report", at }; error is the message
+   of an uncaught exception (null on success); truncated is set when the code
+   made more than `maxCalls` calls, which ends the run. */
+export function recordCalls(code, text, pattern, options = DEFAULT_MATCH_OPTIONS, maxCalls = SANDBOX_MAX_CALLS) {
+  const matcher = createMatcher(options);
+  const n = text.length, m = pattern.length;
+  const calls = [];
+  let truncated = false;
+  const record = call => {
+    if (calls.length >= maxCalls) {
+      truncated = true;
+      throw new CallLimit(`Stopped after ${maxCalls} calls`);
+    }
+    calls.push(call);
+  };
+  const api = {
+    compare(i, j) {
+      checkIndex("compare: text index", i, n - 1);
+      checkIndex("compare: pattern index", j, m - 1);
+      const match = matcher.equal(text[i], pattern[j]);
+      record({ op: "compare", i, j, match });
+      return match;
+    },
+    shift(to, reason = "") {
+      checkIndex("shift: window start", to, n);
+      record({ op: "shift", to, reason: String(reason) });
+    },
+    report(match) {
+      checkIndex("report: match start", match, Math.max(0, n - m));
+      record({ op: "report", at: match });
+    }
+  };
+  let error = null;
+  try {
+    const body = new Function("text", "pattern", "compare", "shift", "report", `"use strict";\n${code}`);
+    body(text, pattern, api.compare, api.shift, api.report);
+  } catch (e) {
+    // a caught CallLimit still leaves `truncated` set
+    if (!(e instanceof CallLimit)) error = `${e?.name ?? "Error"}: ${e?.message ?? e}`;
+  }
+  return { calls, error, truncated };
+}
+
+/* Step trace of recorded calls: { steps, matches }. A comparison puts the
+   window where it lines pattern[j] up with text[i]; shift moves it with the
+   reason given; the last step says why the run ended. `matches` are the
+   distinct reported starts in increasing order. */
+export function sandboxTrace(calls, text, pattern, { error = null, truncated = false, options = DEFAULT_MATCH_OPTIONS } = {}) {
+  const matcher = createMatcher(options);
+  const m = pattern.length;
+  const occurs = new Set(referenceMatches(text, pattern, options));
+  const steps = [{
+    type: "align",
+    windowStart: 0,
+    windowEnd: m - 1,
+    action: "Align pattern at s=0",
+    summary: `Window [0, ${m - 1}]`
+  }];
+  const reported = new Set();
+  let window = 0;
+  for (const call of calls) {
+    if (call.op === "compare") {
+      const { i, j, match } = call;
+      window = i - j;
+      steps.push(compareStep(window, m, i, j, match, `Compare text[${i}]='${text[i]}' with pattern[${j}]='${pattern[j]}'${matchNote(matcher, text[i], pattern[j])}`));
+    } else if (call.op === "shift") {
+      const { to, reason } = call;
+      steps.push({
+        type: "shift",
+        windowStart: to,
+        windowEnd: to + m - 1,
+        shift: { from: window, to, reason: reason || "custom" },
+        action: `Shift window from s=${window} to s=${to}${reason ? ` (${reason})` : ""}`,
+        summary: `Shift by ${to - window} to s=${to}`
+      });
+      window = to;
+    } else {
+      const { at } = call;
+      const note = occurs.has(at) ? "" : " (not an occurrence)";
+      steps.push({ ...foundStep(at, m, `Reported a match at ${at}${note}`), summary: `Reported ${at}${note}` });
+      reported.add(at);
+      window = at;
+    }
+  }
+  const done = doneStep(window, m);
+  if (error) Object.assign(done, { action: `Stopped by an error: ${error}`, summary: "Stopped by an error" });
+  else if (truncated) Object.assign(done, { action: `Stopped after ${calls.length} calls (call limit)`, summary: "Call limit reached" });
+  steps.push(done);
+  return { steps, matches: [...reported].sort((a, b) => a - b) };
+}
+
+/* Reported starts (in call order) checked against the reference search:
+   { expected, correct, missing, extra, repeated, ok } */
+export function verifyMatches(reported, text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const expected = referenceMatches(text, pattern, options);
+  const expectedSet = new Set(expected);
+  const seen = new Set();
+  const repeated = new Set();
+  for (const at of reported) {
+    if (seen.has(at)) repeated.add(at);
+    seen.add(at);
+  }
+  const correct = expected.filter(at => seen.has(at));
+  const missing = expected.filter(at => !seen.has(at));
+  const extra = [...seen].filter(at => !expectedSet.has(at)).sort((a, b) => a - b);
+  return {
+    expected,
+    correct,
+    missing,
+    extra,
+    repeated: [...repeated].sort((a, b) => a - b),
+    ok: missing.length === 0 && extra.length === 0
+  };
+}
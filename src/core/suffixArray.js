@@ -0,0 +1,187 @@
+import { compareStep } from "./trace.js";
+
+/* ---------------- Suffix array index ----------------
+   Index mode answers many patterns against one text: the suffix array (start
+   positions of all suffixes in sorted order) with its LCP array is built once,
+   then every query is two binary searches over it, O(m log n) character
+   comparisons instead of a fresh O(n + m) scan.
+
+   Construction is prefix doubling (Manber–Myers): round 0 sorts the suffixes
+   by their first character, round k by the pair (rank[i], rank[i + k]) of
+   the previous round, i.e. by their first 2k characters, until all ranks are
+   distinct. The LCP array follows with Kasai's algorithm. Both are traced:
+     "sa-round"  { k, order, rank, prevRank, classes, work }   one sorting round
+     "lcp"       { i, j, r, h, work }   lcp[r] = h for suffix i and its predecessor j
+     "done"
+   Query steps follow the usual trace format (./trace.js), the window being
+   the suffix probed, plus { bound, lo, hi, mid }:
+     "sa-probe"  a probe of sa[mid] starts; "compare" steps compare it with the pattern
+     "sa-move"   { cmp } the probe's outcome narrows [lo, hi)
+     "sa-range"  { range: [first, last) } the suffixes starting with the pattern
+   Work is counted in comparisons: of rank pairs while sorting, of characters
+   for LCP and queries. */
+
+// characters of each suffix quoted in step texts
+const QUOTED = 12;
+
+function quote(text, start) {
+  const s = text.slice(start, start + QUOTED);
+  return `"${s}${start + QUOTED < text.length ? "…" : ""}"`;
+}
+
+// stable merge sort that counts the comparator calls
+function sortCounting(items, compare) {
+  let work = 0;
+  let a = items.slice();
+  let b = new Array(a.length);
+  for (let width = 1; width < a.length; width *= 2) {
+    for (let lo = 0; lo < a.length; lo += 2 * width) {
+      const mid = Math.min(lo + width, a.length), hi = Math.min(lo + 2 * width, a.length);
+      let i = lo, j = mid, k = lo;
+      while (i < mid && j < hi) {
+        work++;
+        b[k++] = compare(a[j], a[i]) < 0 ? a[j++] : a[i++];
+      }
+      while (i < mid) b[k++] = a[i++];
+      while (j < hi) b[k++] = a[j++];
+    }
+    [a, b] = [b, a];
+  }
+  return { sorted: a, work };
+}
+
+// ranks after sorting `order` by `key`: equal keys share a rank
+function rerank(order, key, n) {
+  const rank = new Array(n);
+  let classes = 0;
+  order.forEach((p, k) => {
+    if (k > 0 && key(order[k - 1]) !== key(p)) classes++;
+    rank[p] = classes;
+  });
+  return { rank, classes: n ? classes + 1 : 0 };
+}
+
+/* Suffix array, ranks and LCP of `text` with the construction trace:
+   { sa, rank, lcp, steps, work: { sort, lcp } }. lcp[r] is the longest
+   common prefix of the suffixes sa[r - 1] and sa[r] (lcp[0] = 0). */
+export function buildSuffixIndex(text) {
+  const n = text.length;
+  const steps = [];
+  const work = { sort: 0, lcp: 0 };
+  const positions = Array.from({ length: n }, (_, i) => i);
+
+  let { sorted: order, work: w } = sortCounting(positions, (a, b) => (text[a] < text[b] ? -1 : text[a] > text[b] ? 1 : 0));
+  work.sort += w;
+  let { rank, classes } = rerank(order, p => text[p], n);
+  steps.push({
+    type: "sa-round", k: 0, order, rank, prevRank: null, classes, work: w,
+    action: `Sort the ${n} suffixes by their first character: ${classes} distinct rank${classes === 1 ? "" : "s"} (${w} comparisons)`,
+    summary: `Round 0: 1 character, ${classes} ranks`
+  });
+
+  for (let k = 1; classes < n; k *= 2) {
+    const prevRank = rank;
+    const second = p => (p + k < n ? prevRank[p + k] : -1);
+    ({ sorted: order, work: w } = sortCounting(order, (a, b) => prevRank[a] - prevRank[b] || second(a) - second(b)));
+    work.sort += w;
+    ({ rank, classes } = rerank(order, p => `${prevRank[p]},${second(p)}`, n));
+    steps.push({
+      type: "sa-round", k, order, rank, prevRank, classes, work: w,
+      action: `Sort by the rank pair (rank[i], rank[i+${k}]), i.e. by the first ${2 * k} characters: ${classes} distinct rank${classes === 1 ? "" : "s"}${classes === n ? ", all suffixes ordered" : ""} (${w} comparisons)`,
+      summary: `Round ${Math.log2(k) + 1}: ${2 * k} characters, ${classes} ranks`
+    });
+  }
+
+  const sa = order;
+  const lcp = new Array(n).fill(0);
+  let h = 0;
+  for (let i = 0; i < n; i++) {
+    const r = rank[i];
+    if (r === 0) {
+      h = 0;
+      steps.push({ type: "lcp", i, j: null, r, h: 0, work: 0, action: `Suffix ${i} comes first in order: lcp[0] = 0`, summary: "lcp[0] = 0" });
+      continue;
+    }
+    const j = sa[r - 1];
+    const start = h;
+    let cmp = 0;
+    while (i + h < n && j + h < n) {
+      cmp++;
+      if (text[i + h] !== text[j + h]) break;
+      h++;
+    }
+    work.lcp += cmp;
+    lcp[r] = h;
+    steps.push({
+      type: "lcp", i, j, r, h, work: cmp,
+      action: `Suffix ${i} ${quote(text, i)} and its predecessor ${j} ${quote(text, j)} share ${h} character${h === 1 ? "" : "s"}: lcp[${r}] = ${h}${start ? ` (Kasai: the first ${start} known from the previous suffix)` : ""}`,
+      summary: `lcp[${r}] = ${h}`
+    });
+    if (h > 0) h--;
+  }
+  steps.push({ type: "done", action: `Index built: ${work.sort} sort comparisons, ${work.lcp} LCP character comparisons`, summary: "Index built." });
+  return { sa, rank, lcp, steps, work };
+}
+
+/* Binary searches for the suffixes starting with `pattern`:
+   { steps, matches, range, comparisons }. The lower bound is the first
+   suffix not below the pattern, the upper bound the first one above it
+   (comparing only the first pattern.length characters). */
+export function querySuffixIndex(index, text, pattern) {
+  const { sa } = index;
+  const n = text.length, m = pattern.length;
+  const steps = [];
+  let comparisons = 0;
+
+  // [cmp, ended]: cmp < 0, 0 or > 0 as the suffix's first m characters sort
+  // before, equal or after the pattern; ended = true if the suffix ran out first
+  function probe(bound, lo, hi, mid) {
+    const s = sa[mid];
+    const at = { bound, lo, hi, mid };
+    steps.push({
+      ...at, type: "sa-probe", windowStart: s, windowEnd: s + m - 1,
+      action: `${bound === "lower" ? "Lower" : "Upper"} bound: range [${lo}, ${hi}), probe sa[${mid}] = ${s} ${quote(text, s)}`,
+      summary: `${bound} probe sa[${mid}] = ${s}`
+    });
+    for (let j = 0; j < m; j++) {
+      if (s + j >= n) return [-1, true];
+      comparisons++;
+      const match = text[s + j] === pattern[j];
+      steps.push({ ...compareStep(s, m, s + j, j, match, `Compare text[${s + j}]='${text[s + j]}' with pattern[${j}]='${pattern[j]}'`), ...at });
+      if (!match) return [text[s + j] < pattern[j] ? -1 : 1, false];
+    }
+    return [0, false];
+  }
+
+  function search(bound, lo, hi) {
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const [cmp, ended] = probe(bound, lo, hi, mid);
+      const below = bound === "lower" ? cmp < 0 : cmp <= 0;
+      const relation = ended ? "ends early, so it sorts before" : cmp < 0 ? "sorts before" : cmp > 0 ? "sorts after" : "starts with";
+      const [nextLo, nextHi] = below ? [mid + 1, hi] : [lo, mid];
+      steps.push({
+        bound, lo: nextLo, hi: nextHi, mid, cmp, type: "sa-move", windowStart: sa[mid], windowEnd: sa[mid] + m - 1,
+        action: `Suffix ${sa[mid]} ${relation} the pattern: ${below ? `lo = ${mid + 1}` : `hi = ${mid}`}, range [${nextLo}, ${nextHi})`,
+        summary: `${bound}: ${below ? `lo = ${mid + 1}` : `hi = ${mid}`}`
+      });
+      [lo, hi] = [nextLo, nextHi];
+    }
+    return lo;
+  }
+
+  const first = search("lower", 0, n);
+  // every suffix from the lower bound on is >= the pattern, so the upper search starts there
+  const last = search("upper", first, n);
+  const matches = sa.slice(first, last).sort((a, b) => a - b);
+  const shown = matches.slice(0, 20).join(", ") + (matches.length > 20 ? ", …" : "");
+  steps.push({
+    type: "sa-range", range: [first, last], lo: first, hi: last,
+    windowStart: matches[0] ?? 0, windowEnd: (matches[0] ?? 0) + m - 1,
+    action: matches.length
+      ? `sa[${first}..${last - 1}] start with the pattern: ${matches.length} occurrence${matches.length === 1 ? "" : "s"} at ${shown} (${comparisons} comparisons)`
+      : `No suffix starts with the pattern: no occurrences (${comparisons} comparisons)`,
+    summary: `Range [${first}, ${last}): ${matches.length} occurrence${matches.length === 1 ? "" : "s"}`
+  });
+  return { steps, matches, range: [first, last], comparisons };
+}
@@ -0,0 +1,153 @@
+/* ---------------- Trace format ----------------
+   Every algorithm is a step generator  xxxTrace(text, pattern, resume, checkpoint, options)
+   plus a builder  buildXxxSteps(text, pattern, options) -> { steps, matches }
+   that collects it (`options` are the matching options of ./options.js).
+   The generator calls checkpoint(state) at the top of its outer loop;
+   passing that state back as `resume` restarts it from there, which is how
+   LazyTrace (./lazy.js) seeks without keeping the whole trace.
+   `matches` holds the start index of every occurrence, in increasing order
+   (overlapping occurrences included). `steps` is the animation trace; each
+   step is a plain object:
+
+   type            "align" | "compare" | "found" | "shift" | "hash" | "spurious" | "zbox"
+                   | "goto" | "fail" (Aho–Corasick) | "dp" | "bitap" (approximate, ./approximate.js)
+                   | "done"
+   windowStart     index in text where pattern[0] sits for this step
+   windowEnd       windowStart + pattern.length - 1
+   lastComparison  { textIndex, patternIndex, match }   on "compare" steps only
+   compareIndex    = lastComparison.textIndex           (kept for the text row)
+   lastMatch       = lastComparison.match
+   shift           { from, to, reason, ... }            on any step that moves the window
+   action          long, human readable description
+   summary         one-line description for the Step Log
+
+   Shift reasons: "advance" (KMP with j = 0), "fallback" (KMP lps jump),
+   "bad-character", "good-suffix", "horspool", "after-match" (Boyer–Moore), "next-window"
+   (one-by-one alignments of naive, Rabin–Karp and Z), "failure-link"
+   (Aho–Corasick); sandbox traces (./sandbox.js) carry the user's own text.
+   The final step of every trace is { type: "done" } and, like every other
+   step, carries a window.
+   Empty patterns and patterns longer than the text yield that single step
+   (approximate search still scans, since up to k edits may bridge the gap;
+   its "found" steps also carry the match end, cost and alignment).
+
+   Preprocessing generators (lpsTrace, badCharTrace, goodSuffixTrace) yield
+   "pre" steps that the UI plays before the search (see preprocessedTrace):
+   table   "lps" | "bad-character" | "good-suffix"
+   seq     position of the step within its table's steps
+   set     { index | key, value, array? } entry written by the step, or null
+   plus the pointers of the construction (i, len / i, j) and a window at 0.
+   They carry no lastComparison, so comparison counts cover the search only.
+   The generators return the finished table; runSteps drives them. */
+
+import { DEFAULT_MATCH_OPTIONS, createMatcher } from "./options.js";
+
+/* Step for a single text[textIndex] vs pattern[patternIndex] comparison */
+export function compareStep(windowStart, patternLength, textIndex, patternIndex, match, action) {
+  return {
+    type: "compare",
+    windowStart,
+    windowEnd: windowStart + patternLength - 1,
+    compareIndex: textIndex,
+    lastComparison: { textIndex, patternIndex, match },
+    lastMatch: match,
+    action,
+    summary: match ? `Match at text[${textIndex}] & pattern[${patternIndex}]` : `Mismatch at text[${textIndex}] & pattern[${patternIndex}]`
+  };
+}
+
+export function foundStep(start, patternLength, action = `Pattern found at ${start}`) {
+  return { type: "found", windowStart: start, windowEnd: start + patternLength - 1, action, summary: `Pattern occurs at ${start}` };
+}
+
+/* Final step; stays on the last window so the pattern row does not jump */
+export function doneStep(windowStart, patternLength) {
+  return { type: "done", windowStart, windowEnd: windowStart + patternLength - 1, action: "Search complete", summary: "Search finished." };
+}
+
+/* Runs a step generator to the end: { steps, matches } */
+export function collectTrace(iterator) {
+  const steps = [];
+  const matches = [];
+  for (const step of iterator) {
+    steps.push(step);
+    if (step.type === "found") matches.push(step.windowStart);
+  }
+  return { steps, matches };
+}
+
+/* Runs a preprocessing generator to the end, passing every step to onStep;
+   returns the generator's return value (the finished table) */
+export function runSteps(generator, onStep = () => {}) {
+  for (;;) {
+    const { value, done } = generator.next();
+    if (done) return value;
+    onStep(value);
+  }
+}
+
+/* Preprocessing steps, then the search. A resumed search (from a checkpoint
+   taken after the preprocessing) skips them. */
+export function* preprocessedTrace(preprocess, search, resume) {
+  if (!resume) yield* preprocess();
+  yield* search();
+}
+
+/* Whole trace for inputs no builder can scan (empty pattern, pattern longer
+   than text), or null when the builder should run normally */
+export function trivialTrace(text, pattern) {
+  const n = text.length, m = pattern.length;
+  let action = null;
+  if (m === 0) action = "Pattern is empty: nothing to search";
+  else if (m > n) action = `Pattern (length ${m}) is longer than text (length ${n}): no alignment possible`;
+  if (!action) return null;
+  return {
+    steps: [{ type: "done", windowStart: 0, windowEnd: m - 1, action, summary: "Search finished." }],
+    matches: []
+  };
+}
+
+/* Reference scan with String#indexOf, overlapping occurrences included;
+   a plain position-by-position scan when case folding or wildcards are on */
+export function referenceMatches(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  const out = [];
+  if (!pattern) return out;
+  if (options.ignoreCase || options.wildcard) {
+    const { equal } = createMatcher(options);
+    for (let s = 0; s + pattern.length <= text.length; s++) {
+      let j = 0;
+      while (j < pattern.length && equal(text[s + j], pattern[j])) j++;
+      if (j === pattern.length) out.push(s);
+    }
+    return out;
+  }
+  let at = text.indexOf(pattern);
+  while (at !== -1) {
+    out.push(at);
+    at = text.indexOf(pattern, at + 1);
+  }
+  return out;
+}
+
+/* Aggregate counters for a step trace: character comparisons and window moves */
+export function traceStats(steps) {
+  const stats = statsCounter();
+  for (const step of steps) stats.add(step);
+  return { comparisons: stats.comparisons, shifts: stats.shifts };
+}
+
+/* traceStats one step at a time, for traces counted in slices */
+export function statsCounter() {
+  let prevWindow;
+  return {
+    comparisons: 0,
+    shifts: 0,
+    add(step) {
+      if (step.lastComparison) this.comparisons++;
+      if (step.windowStart !== undefined) {
+        if (prevWindow !== undefined && step.windowStart !== prevWindow) this.shifts++;
+        prevWindow = step.windowStart;
+      }
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { parsePatternList } from "./ahoCorasick.js";
+import { maxErrorsOf } from "./approximate.js";
+
+/* Input checks shown inline next to the Text / Pattern fields.
+   "error" blocks Run, "warning" still runs but explains the outcome. */
+export function validateInputs(text, pattern) {
+  const issues = [];
+  if (!pattern) {
+    issues.push({ level: "error", field: "pattern", message: "Pattern is empty: enter at least one character to search for." });
+  }
+  if (!text) {
+    issues.push({ level: "warning", field: "text", message: "Text is empty: there is nothing to search in." });
+  } else if (pattern && pattern.length > text.length) {
+    issues.push({
+      level: "warning",
+      field: "pattern",
+      message: `Pattern (${pattern.length} chars) is longer than the text (${text.length} chars), so it cannot occur.`
+    });
+  }
+  return issues;
+}
+
+/* Same checks for a comma separated keyword list (multi-pattern search) */
+export function validatePatternList(text, input) {
+  const issues = [];
+  const keywords = parsePatternList(input);
+  if (!keywords.length) {
+    issues.push({ level: "error", field: "pattern", message: "No keywords: enter one or more patterns separated by commas." });
+  }
+  if (!text) {
+    issues.push({ level: "warning", field: "text", message: "Text is empty: there is nothing to search in." });
+  } else {
+    const tooLong = keywords.filter(k => k.length > text.length);
+    if (tooLong.length) {
+      issues.push({
+        level: "warning",
+        field: "pattern",
+        message: `${tooLong.map(k => `"${k}"`).join(", ")} ${tooLong.length === 1 ? "is" : "are"} longer than the text and cannot occur.`
+      });
+    }
+  }
+  return issues;
+}
+
+/* Checks for approximate search with k = options.maxErrors. Sellers can match
+   a pattern up to k characters longer than the text; Bitap only substitutes,
+   and its state words hold at most `maxLength` pattern characters. */
+export function validateApproximate(text, pattern, options, { substitutionsOnly = false, maxLength = Infinity } = {}) {
+  const k = maxErrorsOf(options);
+  const issues = [];
+  if (!pattern) {
+    issues.push({ level: "error", field: "pattern", message: "Pattern is empty: enter at least one character to search for." });
+  }
+  if (!text) {
+    issues.push({ level: "warning", field: "text", message: "Text is empty: there is nothing to search in." });
+  }
+  if (!pattern) return issues;
+  if (pattern.length > maxLength) {
+    issues.push({ level: "error", field: "pattern", message: `Pattern (${pattern.length} chars) is too long: Bitap state words hold at most ${maxLength} characters.` });
+  }
+  const slack = substitutionsOnly ? 0 : k;
+  if (text && pattern.length > text.length + slack) {
+    issues.push({
+      level: "warning",
+      field: "pattern",
+      message: `Pattern (${pattern.length} chars) is longer than the text (${text.length} chars)${slack ? ` by more than k = ${k}` : ""}, so it cannot occur.`
+    });
+  }
+  if (k >= pattern.length) {
+    issues.push({ level: "warning", field: "pattern", message: `k = ${k} is not smaller than the pattern length, so every position matches.` });
+  }
+  return issues;
+}
@@ -0,0 +1,81 @@
+import { compareStep, foundStep, doneStep, trivialTrace, collectTrace } from "./trace.js";
+import { DEFAULT_MATCH_OPTIONS, createMatcher, matchNote } from "./options.js";
+
+/* Z-algorithm: Z[i] = longest common prefix of s and s[i..].
+   Index `sep` holds the separator and never equals anything, so a '$' inside
+   the pattern or text cannot extend a Z-box across the boundary. */
+export function computeZ(s, sep = -1) {
+  const n = s.length;
+  const z = Array(n).fill(0);
+  const same = (a, b) => a !== sep && b !== sep && s[a] === s[b];
+  let l = 0, r = 0; // current Z-box is [l, r)
+  for (let i = 1; i < n; i++) {
+    if (i < r) z[i] = Math.min(r - i, z[i - l]);
+    while (i + z[i] < n && same(z[i], i + z[i])) z[i]++;
+    if (i + z[i] > r) { l = i; r = i + z[i]; }
+  }
+  return z;
+}
+
+/* Z-algorithm step generator over pattern$text; only the text part compares text
+   with pattern. A text-part Z-box never spans more than m characters, so i - l
+   always points into the pattern part and the text-part Z values need not be
+   kept: the generator resumes from { s, l, r }. Z-box reuse needs transitive
+   equality, so of the matching options only ignoreCase applies ('?' is literal). */
+export function* zTrace(text, pattern, resume = null, checkpoint = () => {}, options = DEFAULT_MATCH_OPTIONS) {
+  const trivial = trivialTrace(text, pattern);
+  if (trivial) { yield* trivial.steps; return; }
+  const matcher = createMatcher({ ...options, wildcard: false });
+  const m = pattern.length, n = text.length;
+  const z = computeZ(Array.from({ length: m }, (_, k) => matcher.key(pattern[k])));
+  // Z-box carried over from the pattern part
+  let l = 0, r = 0;
+  for (let i = 1; i < m; i++) {
+    if (i + z[i] > r) { l = i; r = i + z[i]; }
+  }
+  if (resume) ({ l, r } = resume);
+  for (let s = resume?.s ?? 0; s <= n - m; s++) {
+    checkpoint({ s, l, r });
+    const i = m + 1 + s;
+    const shift = s > 0 ? { shift: { from: s - 1, to: s, reason: "next-window" } } : {};
+    let k = 0;
+    let extend = true;
+    if (i < r) {
+      k = Math.min(r - i, z[i - l]);
+      extend = z[i - l] >= r - i;
+      yield {
+        type: "zbox",
+        windowStart: s,
+        windowEnd: s + m - 1,
+        ...shift,
+        action: extend
+          ? `i=${i} inside Z-box [${l}, ${r - 1}]: Z[${i}] ≥ ${k}, extend past the box`
+          : `i=${i} inside Z-box [${l}, ${r - 1}]: copy Z[${i - l}] -> Z[${i}] = ${k}`,
+        summary: extend ? `Reuse Z-box, Z[${i}] ≥ ${k}` : `Copy Z[${i}] = ${k}`
+      };
+    } else {
+      yield {
+        type: "zbox",
+        windowStart: s,
+        windowEnd: s + m - 1,
+        ...shift,
+        action: `i=${i} outside Z-box: compare from pattern[0]`,
+        summary: `Start Z[${i}] at 0`
+      };
+    }
+    while (extend && k < m) {
+      const match = matcher.equal(text[s + k], pattern[k]);
+      yield compareStep(s, m, s + k, k, match, `Compare text[${s + k}]='${text[s + k]}' with pattern[${k}]='${pattern[k]}'${matchNote(matcher, text[s + k], pattern[k])}`);
+      if (!match) break;
+      k++;
+    }
+    if (i + k > r) { l = i; r = i + k; }
+    if (k === m) yield foundStep(s, m, `Z[${i}] = ${m} -> pattern found at ${s}`);
+  }
+  yield doneStep(n - m, m);
+}
+
+/* Build Z-algorithm steps */
+export function buildZSteps(text, pattern, options = DEFAULT_MATCH_OPTIONS) {
+  return collectTrace(zTrace(text, pattern, null, undefined, options));
+}
@@ -0,0 +1,11 @@
+/* Saves `content` as a file through a temporary object URL (no server round trip) */
+export function downloadFile(filename, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,116 @@
+/* ---------------- Animated GIF encoder ----------------
+   Minimal GIF89a writer for trace exports: every frame is an RGBA image of
+   the same size, mapped to one fixed 256-color palette (a 6×6×6 color cube
+   plus 40 grays, plenty for the flat colors of the frames) and LZW
+   compressed. Loops forever. */
+
+const GRAYS = 40;
+
+function buildPalette() {
+  const palette = new Uint8Array(256 * 3);
+  let k = 0;
+  for (let r = 0; r < 6; r++) for (let g = 0; g < 6; g++) for (let b = 0; b < 6; b++) {
+    palette[k++] = r * 51; palette[k++] = g * 51; palette[k++] = b * 51;
+  }
+  for (let v = 0; v < GRAYS; v++) {
+    const level = Math.round((v * 255) / (GRAYS - 1));
+    palette[k++] = level; palette[k++] = level; palette[k++] = level;
+  }
+  return palette;
+}
+
+const PALETTE = buildPalette();
+
+/* Palette index per pixel; near-gray pixels use the finer gray ramp */
+function toIndices(rgba) {
+  const out = new Uint8Array(rgba.length / 4);
+  for (let p = 0, q = 0; q < out.length; p += 4, q++) {
+    const r = rgba[p], g = rgba[p + 1], b = rgba[p + 2];
+    if (Math.max(r, g, b) - Math.min(r, g, b) < 12) {
+      out[q] = 216 + Math.round((((r + g + b) / 3) * (GRAYS - 1)) / 255);
+    } else {
+      out[q] = 36 * Math.round(r / 51) + 6 * Math.round(g / 51) + Math.round(b / 51);
+    }
+  }
+  return out;
+}
+
+/* GIF LZW of 8-bit indices, packed in sub-blocks of at most 255 bytes */
+function lzw(indices, bytes) {
+  const minCodeSize = 8;
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  let codeSize = minCodeSize + 1, next = eoi + 1;
+  let table = new Map();
+  const block = [];
+  let cur = 0, bits = 0;
+  const emit = code => {
+    cur |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      block.push(cur & 0xff);
+      cur >>>= 8;
+      bits -= 8;
+    }
+  };
+  bytes.push(minCodeSize);
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      next = eoi + 1;
+    } else {
+      if (next >= 1 << codeSize) codeSize++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (bits > 0) block.push(cur & 0xff);
+  for (let i = 0; i < block.length; i += 255) {
+    const chunk = block.slice(i, i + 255);
+    bytes.push(chunk.length, ...chunk);
+  }
+  bytes.push(0);
+}
+
+/* Incremental encoder: addFrame(rgba, delayMs) per frame, then finish()
+   returns the file as a Uint8Array */
+export function createGIF(width, height) {
+  const bytes = [];
+  const word = v => bytes.push(v & 0xff, (v >> 8) & 0xff);
+  bytes.push(...[..."GIF89a"].map(c => c.charCodeAt(0)));
+  word(width);
+  word(height);
+  bytes.push(0xf7, 0, 0); // global color table of 256 entries
+  bytes.push(...PALETTE);
+  // NETSCAPE2.0 application extension: loop forever
+  bytes.push(0x21, 0xff, 11, ...[..."NETSCAPE2.0"].map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0);
+  return {
+    addFrame(rgba, delayMs) {
+      bytes.push(0x21, 0xf9, 4, 0, 0, 0, 0, 0);
+      const delay = Math.max(2, Math.round(delayMs / 10)); // hundredths of a second
+      bytes[bytes.length - 4] = delay & 0xff;
+      bytes[bytes.length - 3] = (delay >> 8) & 0xff;
+      bytes.push(0x2c);
+      word(0); word(0); word(width); word(height);
+      bytes.push(0);
+      lzw(toIndices(rgba), bytes);
+    },
+    finish() {
+      bytes.push(0x3b);
+      return Uint8Array.from(bytes);
+    }
+  };
+}
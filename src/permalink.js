@@ -0,0 +1,69 @@
+/* ---------------- Shareable permalinks ----------------
+   App state is stored in the URL hash as  #v1=<payload>  so the link works
+   under any base path (e.g. the gh-pages subfolder) without server routing.
+   payload = "z" + base64url(deflate-raw(utf8(json)))  when CompressionStream exists,
+             "j" + base64url(utf8(json))               otherwise. */
+
+import { DEFAULT_MATCH_OPTIONS, MATCH_FLAGS, SHIFT_RULES } from "./core";
+
+const HASH_KEY = "v1";
+
+function toBase64Url(bytes) {
+  let bin = "";
+  const CHUNK = 0x8000; // avoid call stack limits on long inputs
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+/* Serialize { text, pattern, algorithm, step, options } into a hash payload */
+export async function encodeState({ text, pattern, algorithm, step, options = {} }) {
+  const json = JSON.stringify({ t: text, p: pattern, a: algorithm, s: step, o: MATCH_FLAGS.filter(name => options[name]), k: options.maxErrors, r: options.shiftRule });
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === "undefined") return "j" + toBase64Url(bytes);
+  return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+}
+
+/* Inverse of encodeState; returns null for anything that is not a valid payload */
+export async function decodeState(payload) {
+  try {
+    let bytes = fromBase64Url(payload.slice(1));
+    if (payload[0] === "z") bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    else if (payload[0] !== "j") return null;
+    const { t, p, a, s, o, k, r } = JSON.parse(new TextDecoder().decode(bytes));
+    if (typeof t !== "string" || typeof p !== "string" || typeof a !== "string") return null;
+    // flags are stored by name; older links without them decode with all off
+    const options = Object.fromEntries(MATCH_FLAGS.map(name => [name, Array.isArray(o) && o.includes(name)]));
+    options.maxErrors = Number.isInteger(k) && k >= 0 ? k : DEFAULT_MATCH_OPTIONS.maxErrors;
+    options.shiftRule = SHIFT_RULES.some(rule => rule.id === r) ? r : DEFAULT_MATCH_OPTIONS.shiftRule;
+    return { text: t, pattern: p, algorithm: a, step: Number.isInteger(s) && s >= 0 ? s : 0, options };
+  } catch {
+    // malformed links fall back to the defaults
+    return null;
+  }
+}
+
+/* Payload from the current location, or null when the URL carries no state */
+export function readPermalink(location = window.location) {
+  const params = new URLSearchParams(location.hash.slice(1));
+  return params.get(HASH_KEY);
+}
+
+/* Absolute link for the given state; keeps origin, base path and query untouched */
+export async function buildPermalink(state, location = window.location) {
+  const payload = await encodeState(state);
+  const base = location.href.split("#")[0];
+  return `${base}#${HASH_KEY}=${payload}`;
+}
@@ -0,0 +1,48 @@
+/* ---------------- Practice progress ----------------
+   Score per question kind (core/quiz.js), kept in localStorage so a course
+   session can be picked up later:
+     { [kind]: { asked, correct, mistakes: [{ prompt, given, answer, at }] } }
+   Storage may be unavailable (private mode, blocked cookies); progress then
+   lasts for the page only. */
+
+const STORAGE_KEY = "pattern-matching-practice-v1";
+// most recent mistakes kept per kind
+const MAX_MISTAKES = 10;
+
+export function loadProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveProgress(progress) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // not persisted; the in-page score still counts
+  }
+}
+
+export function clearProgress() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // nothing stored
+  }
+}
+
+/* Progress with one more answer; `given` is null when the answer was revealed */
+export function recordAnswer(progress, question, given) {
+  const { asked = 0, correct = 0, mistakes = [] } = progress[question.kind] ?? {};
+  const right = given === question.answer;
+  return {
+    ...progress,
+    [question.kind]: {
+      asked: asked + 1,
+      correct: correct + (right ? 1 : 0),
+      mistakes: right ? mistakes : [...mistakes, { prompt: question.prompt, given, answer: question.answer, at: Date.now() }].slice(-MAX_MISTAKES)
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/* ---------------- Sandbox runner ----------------
+   Runs custom matcher code (core/sandbox.js) in a Web Worker without network
+   access (see sandboxFrame.js) and keeps the editor's draft in localStorage
+   between visits. */
+
+import { SANDBOX_MAX_CALLS, SANDBOX_TIME_LIMIT_MS, SANDBOX_EXAMPLES } from "./core";
+import { workerScript, frameHTML } from "./sandboxFrame.js";
+import optionsSource from "./core/options.js?raw";
+import traceSource from "./core/trace.js?raw";
+import sandboxSource from "./core/sandbox.js?raw";
+import handlerSource from "./sandboxWorker.js?raw";
+
+const WORKER_SOURCE = workerScript([optionsSource, traceSource, sandboxSource], handlerSource);
+
+const STORAGE_KEY = "pattern-matching-sandbox-v1";
+
+export function loadSandboxCode() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) ?? SANDBOX_EXAMPLES[0].code;
+  } catch {
+    return SANDBOX_EXAMPLES[0].code;
+  }
+}
+
+export function saveSandboxCode(code) {
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // the draft lasts for the page only
+  }
+}
+
+// fresh per run, for the frame's inline script
+function randomNonce() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/* Resolves with the recorded calls, { calls, error, truncated, timedOut }.
+   Every run gets a fresh frame and worker; code still running after
+   `timeLimit` ms is stopped by removing the frame and its calls are lost. */
+export function runInSandbox(code, text, pattern, options, { maxCalls = SANDBOX_MAX_CALLS, timeLimit = SANDBOX_TIME_LIMIT_MS } = {}) {
+  return new Promise(resolve => {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.hidden = true;
+    frame.srcdoc = frameHTML(WORKER_SOURCE, randomNonce());
+    const finish = result => {
+      clearTimeout(timer);
+      window.removeEventListener("message", onMessage);
+      frame.remove();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({
+      calls: [],
+      error: `Time limit: still running after ${timeLimit} ms (an endless loop?)`,
+      truncated: false,
+      timedOut: true
+    }), timeLimit);
+    function onMessage({ source, data }) {
+      if (source !== frame.contentWindow) return;
+      if (data.ready) frame.contentWindow.postMessage({ code, text, pattern, options, maxCalls }, "*");
+      else if (data.failed) finish({ calls: [], error: data.failed, truncated: false, timedOut: false });
+      else finish({ ...data, timedOut: false });
+    }
+    window.addEventListener("message", onMessage);
+    document.body.appendChild(frame);
+  });
+}
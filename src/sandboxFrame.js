@@ -0,0 +1,43 @@
+/* ---------------- Sandbox frame ----------------
+   The custom algorithm sandbox runs its worker inside an
+   <iframe sandbox="allow-scripts"> built from frameHTML. The frame's
+   Content-Security-Policy allows no loads except its own inline script and
+   blob: workers, and a worker created from a blob: URL inherits that policy,
+   so fetch, import() and every other request fail inside a run. The worker
+   cannot load modules either, so workerScript joins the core modules it needs
+   into one classic script. No imports here: tests build the same script from
+   the files on disk. */
+
+// strips a module's import lines and export keywords; imports must be one line each
+export function moduleAsScript(source) {
+  return source.replace(/^import .*;$/gm, "").replace(/^export /gm, "");
+}
+
+/* Classic worker script: the modules in dependency order, then the handler,
+   in one function scope */
+export function workerScript(moduleSources, handlerSource) {
+  return `(() => {\n${moduleSources.map(moduleAsScript).join("\n")}\n${handlerSource}\n})();\n`;
+}
+
+export function frameHTML(workerSource, nonce) {
+  const csp = `default-src 'none'; script-src 'nonce-${nonce}' blob: 'unsafe-eval'; worker-src blob:`;
+  // a JSON string with '<' escaped cannot close the script element
+  const source = JSON.stringify(workerSource).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<script nonce="${nonce}">
+try {
+  const worker = new Worker(URL.createObjectURL(new Blob([${source}], { type: "text/javascript" })));
+  worker.onmessage = e => parent.postMessage(e.data, "*");
+  worker.onerror = e => {
+    e.preventDefault();
+    parent.postMessage({ failed: e.message || "The sandbox worker failed" }, "*");
+  };
+  onmessage = e => worker.postMessage(e.data);
+  parent.postMessage({ ready: true }, "*");
+} catch (e) {
+  parent.postMessage({ failed: "The sandbox worker could not start: " + e.message }, "*");
+}
+</script>
+`;
+}
@@ -0,0 +1,52 @@
+/* Web Worker behind the custom algorithm sandbox (see core/sandbox.js). Not a
+   module: src/sandbox.js joins it after core/options.js, trace.js and
+   sandbox.js into one classic script (see sandboxFrame.js), so recordCalls is
+   in scope. The worker starts from a blob: URL in a sandboxed frame whose
+   Content-Security-Policy it inherits, so it runs without network access;
+   before the first run it checks that fetch and import() really fail and
+   refuses to run otherwise. The usual network, storage and worker globals
+   are removed as well. The page enforces the time limit by removing the
+   frame, so one worker serves one run. */
+
+const send = self.postMessage.bind(self);
+
+// loads the frame's policy must block
+const PROBES = [
+  () => fetch("data:text/plain,probe"),
+  () => import("data:text/javascript,export default 0")
+];
+
+async function isolated() {
+  for (const probe of PROBES) {
+    try {
+      await probe();
+      return false;
+    } catch {
+      // blocked, as it should be
+    }
+  }
+  return true;
+}
+
+const checked = isolated();
+
+const BLOCKED = [
+  "fetch", "XMLHttpRequest", "WebSocket", "WebTransport", "EventSource", "importScripts", "indexedDB", "caches",
+  "BroadcastChannel", "Worker", "SharedWorker", "postMessage", "close"
+];
+for (const name of BLOCKED) {
+  try {
+    Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+  } catch {
+    // not defined in this browser
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  if (!(await checked)) {
+    send({ calls: [], error: "Sandbox isolation is unavailable in this browser: the code was not run", truncated: false });
+    return;
+  }
+  const { code, text, pattern, options, maxCalls } = data;
+  send(recordCalls(code, text, pattern, options, maxCalls));
+};
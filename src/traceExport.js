@@ -0,0 +1,140 @@
+/* ---------------- Trace export ----------------
+   Turns steps of the current trace into lecture material, entirely in the
+   browser: an animated GIF or a WebM video (rasterized SVG frames, one per
+   step, each shown for the autoplay delay), a ZIP of SVG frames, or a
+   printable HTML handout with the action text beside every frame. */
+
+import { frameLayout, traceFrames, escapeXML } from "./core";
+import { createGIF } from "./gif";
+import { createZip } from "./zip";
+
+// an export renders every frame up front; longer traces are exported in ranges
+export const MAX_EXPORT_FRAMES = 500;
+
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+export function canRecordWebM() {
+  return typeof MediaRecorder !== "undefined" && WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+/* { layout, frames } for steps from..to (0-based, inclusive) */
+export function collectFrames(trace, text, pattern, from, to, layoutOptions) {
+  const layout = frameLayout(text, pattern, layoutOptions);
+  const total = trace.complete ? trace.length : 0;
+  return { layout, frames: [...traceFrames(trace, text, pattern, layout, from, to, total)] };
+}
+
+async function drawSVG(ctx, svg) {
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await img.decode();
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.drawImage(img, 0, 0);
+}
+
+function createCanvas({ width, height }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// yields to the page between frames; `run.stopped` cancels
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+const cancelled = () => new DOMException("Export cancelled", "AbortError");
+
+/* Animated GIF of the frames, `delay` ms each */
+export async function framesToGIF({ layout, frames }, delay, run, onProgress) {
+  const canvas = createCanvas(layout);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  const gif = createGIF(layout.width, layout.height);
+  for (let k = 0; k < frames.length; k++) {
+    if (run.stopped) throw cancelled();
+    await drawSVG(ctx, frames[k].svg);
+    gif.addFrame(ctx.getImageData(0, 0, layout.width, layout.height).data, delay);
+    onProgress(k + 1, frames.length);
+    await tick();
+  }
+  return new Blob([gif.finish()], { type: "image/gif" });
+}
+
+/* WebM video recorded from a canvas in real time: each frame stays up for `delay` ms */
+export async function framesToWebM({ layout, frames }, delay, run, onProgress) {
+  const canvas = createCanvas(layout);
+  const ctx = canvas.getContext("2d");
+  await drawSVG(ctx, frames[0].svg);
+  const stream = canvas.captureStream();
+  const recorder = new MediaRecorder(stream, { mimeType: WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) });
+  const chunks = [];
+  recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+  recorder.start();
+  try {
+    for (let k = 0; k < frames.length; k++) {
+      if (run.stopped) throw cancelled();
+      await drawSVG(ctx, frames[k].svg);
+      onProgress(k + 1, frames.length);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  } finally {
+    recorder.stop();
+    stream.getTracks().forEach(track => track.stop());
+  }
+  await stopped;
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+/* ZIP of frame-0001.svg, frame-0002.svg, … numbered by step */
+export function framesToZip({ frames }) {
+  const digits = Math.max(4, String(frames.at(-1).pos + 1).length);
+  return createZip(frames.map(({ pos, svg }) => ({ name: `frame-${String(pos + 1).padStart(digits, "0")}.svg`, content: svg })));
+}
+
+/* Standalone printable HTML: heading, the inputs, then one row per step with
+   the frame (drawn without its caption) and the step's action text */
+export function handoutHTML({ frames }, { title, text, pattern, matches }) {
+  const rows = frames.map(({ pos, step, svg }) => `
+<section class="step">
+  ${svg}
+  <div><div class="num">Step ${pos + 1}${step.type === "pre" ? " · preprocessing" : ""}</div><p>${escapeXML(step.action)}</p></div>
+</section>`).join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXML(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #0f172a; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 6px; }
+  .meta { font-size: 13px; color: #475569; margin-bottom: 12px; word-break: break-all; }
+  .step { display: flex; gap: 16px; align-items: center; border-top: 1px solid #e5e7eb; padding: 10px 0; break-inside: avoid; page-break-inside: avoid; }
+  .step svg { flex: none; max-width: 65%; height: auto; }
+  .step p { margin: 4px 0 0; font-size: 14px; }
+  .num { font-size: 12px; font-weight: 700; color: #475569; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+<div class="meta">Text: ${escapeXML(text)}<br>Pattern: ${escapeXML(pattern)}<br>Matches: ${matches.length ? matches.join(", ") : "none"}</div>
+${rows}
+</body>
+</html>
+`;
+}
+
+/* Opens the handout in a new window and starts printing (Save as PDF from the print dialog) */
+export function printHandout(html) {
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+  const win = window.open(url, "_blank");
+  if (!win) {
+    URL.revokeObjectURL(url);
+    return false;
+  }
+  win.addEventListener("load", () => {
+    win.print();
+    URL.revokeObjectURL(url);
+  });
+  return true;
+}
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILDERS, DEFAULT_MATCH_OPTIONS, approximateMatches, alignEnding, createRandom, randomInt, randomString } from "../src/core/index.js";
+
+// edit distance between a and b
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1), prev[j] + 1, row[j - 1] + 1);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// { end, cost } of every substring end within k edits (Sellers) or k mismatches (Bitap), by brute force
+function bruteMatches(kind, text, pattern, k) {
+  const m = pattern.length;
+  const out = [];
+  for (let end = 0; end < text.length; end++) {
+    let cost;
+    if (kind === "sellers") {
+      cost = m; // the empty substring
+      for (let start = 0; start <= end; start++) cost = Math.min(cost, editDistance(pattern, text.slice(start, end + 1)));
+    } else {
+      if (end < m - 1) continue;
+      cost = 0;
+      for (let j = 0; j < m; j++) if (text[end - m + 1 + j] !== pattern[j]) cost++;
+    }
+    if (cost <= k) out.push({ end, cost });
+  }
+  return out;
+}
+
+const KINDS = [["sellers", "SELLERS"], ["bitap", "BITAP"]];
+
+function randomCase(rand) {
+  return {
+    text: randomString(rand, randomInt(rand, 25), "abc"),
+    pattern: randomString(rand, 1 + randomInt(rand, 6), "abc")
+  };
+}
+
+test("match ends and costs agree with brute force for k = 1 and 2", () => {
+  const rand = createRandom(2024);
+  for (let c = 0; c < 200; c++) {
+    const { text, pattern } = randomCase(rand);
+    for (const maxErrors of [1, 2]) {
+      const options = { ...DEFAULT_MATCH_OPTIONS, maxErrors };
+      for (const [kind, id] of KINDS) {
+        const expected = bruteMatches(kind, text, pattern, maxErrors);
+        const label = `${kind}, k = ${maxErrors}, text "${text}", pattern "${pattern}"`;
+        assert.deepEqual(approximateMatches(kind, text, pattern, options), expected, label);
+        const found = BUILDERS[id](text, pattern, options).steps.filter(step => step.type === "found");
+        assert.deepEqual(found.map(({ end, cost }) => ({ end, cost })), expected, label);
+      }
+    }
+  }
+});
+
+test("alignEnding's cost counts its edit ops, which spell out the alignment", () => {
+  const rand = createRandom(99);
+  for (let c = 0; c < 200; c++) {
+    const { text, pattern } = randomCase(rand);
+    const options = { ...DEFAULT_MATCH_OPTIONS, maxErrors: 2 };
+    for (const [kind] of KINDS) {
+      for (const { end, cost } of approximateMatches(kind, text, pattern, options)) {
+        const label = `${kind}, text "${text}", pattern "${pattern}", end ${end}`;
+        const alignment = alignEnding(kind, text, pattern, end, options);
+        assert.equal(alignment.cost, cost, label);
+        assert.equal(alignment.ops.filter(o => o.op !== "match").length, cost, label);
+        // pattern characters in order, text characters start..end in order
+        const patternIndices = alignment.ops.filter(o => o.patternIndex !== undefined).map(o => o.patternIndex);
+        const textIndices = alignment.ops.filter(o => o.textIndex !== undefined).map(o => o.textIndex);
+        assert.deepEqual(patternIndices, [...pattern].map((_, j) => j), label);
+        assert.deepEqual(textIndices, Array.from({ length: end - alignment.start + 1 }, (_, d) => alignment.start + d), label);
+        for (const o of alignment.ops) {
+          if (o.op === "match") assert.equal(text[o.textIndex], pattern[o.patternIndex], label);
+          if (o.op === "substitute") assert.notEqual(text[o.textIndex], pattern[o.patternIndex], label);
+        }
+        if (kind === "bitap") assert.ok(alignment.ops.every(o => o.op === "match" || o.op === "substitute"), label);
+      }
+    }
+  }
+});
@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILDERS, TRACES, SHIFT_RULES, referenceMatches, traceStats, measureCounter, DEFAULT_MATCH_OPTIONS, createRandom, randomInt, randomString, naiveComparisons, naiveCounter, findNextStep, findStep, findNextStepInSlices, findStepInSlices } from "../src/core/index.js";
+
+// exact matching for every builder, the approximate ones included
+const EXACT = { ...DEFAULT_MATCH_OPTIONS, maxErrors: 0 };
+
+// every start of `pattern` in `text`, overlapping ones included
+function indexOfMatches(text, pattern) {
+  const out = [];
+  for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) out.push(i);
+  return out;
+}
+
+// every builder, and Boyer–Moore once per shift rule: [label, id, build]
+const CASES = [
+  ...Object.entries(BUILDERS).filter(([id]) => id !== "BM").map(([id, build]) => [id, id, build]),
+  ...SHIFT_RULES.map(rule => [`BM (${rule.id})`, "BM", (text, pattern, options) => BUILDERS.BM(text, pattern, { ...options, shiftRule: rule.id })])
+];
+
+// builders that honour '?' wildcards (the registry leaves them off for RK, Z and AC)
+const WILDCARD_IDS = ["KMP", "BM", "NAIVE", "SELLERS", "BITAP"];
+
+// every builder taking `options` finds the same starts as the reference search
+function check(text, pattern, options = EXACT) {
+  const expected = options === EXACT ? indexOfMatches(text, pattern) : referenceMatches(text, pattern, options);
+  for (const [label, id, build] of CASES) {
+    if (options.wildcard && !WILDCARD_IDS.includes(id)) continue;
+    const { steps, matches } = build(text, pattern, options);
+    assert.deepEqual(matches, expected, `${label} on text "${text}", pattern "${pattern}", options ${JSON.stringify(options)}`);
+    assert.equal(steps.at(-1).type, "done", `${label} ends with a done step`);
+  }
+}
+
+test("every builder agrees with indexOf on random inputs", () => {
+  const rand = createRandom(20240611);
+  for (const alphabet of ["a", "ab", "abc", "abcd"]) {
+    for (let k = 0; k < 150; k++) {
+      const text = randomString(rand, randomInt(rand, 41), alphabet);
+      const pattern = randomString(rand, 1 + randomInt(rand, 6), alphabet);
+      check(text, pattern);
+    }
+  }
+});
+
+test("patterns cut from the text are found", () => {
+  const rand = createRandom(7);
+  for (let k = 0; k < 200; k++) {
+    const text = randomString(rand, 1 + randomInt(rand, 60), "abc");
+    const start = randomInt(rand, text.length);
+    check(text, text.slice(start, start + 1 + randomInt(rand, 8)));
+  }
+});
+
+test("overlapping matches are all reported", () => {
+  check("aaaa", "aa");
+  check("aaabaaa", "aa");
+  check("abababab", "abab");
+  check("abaabaabaab", "abaab");
+});
+
+test("empty text has no matches", () => {
+  for (const [id, , build] of CASES) {
+    const { steps, matches } = build("", "a", EXACT);
+    assert.deepEqual(matches, [], id);
+    assert.equal(steps.length, 1, `${id} has a single step`);
+    assert.equal(steps[0].type, "done", id);
+  }
+});
+
+test("a pattern longer than the text has no matches", () => {
+  check("ab", "abc");
+  check("a", "aa");
+  check("abc", "abcabc");
+});
+
+test("single-character alphabets", () => {
+  for (let n = 0; n <= 12; n++) {
+    for (let m = 1; m <= 5; m++) check("a".repeat(n), "a".repeat(m));
+  }
+  check("aaaaaa", "b");
+  check("bbbbbb", "bbab");
+});
+
+test("ignore case: every builder agrees with the reference search", () => {
+  const rand = createRandom(31);
+  const options = { ...EXACT, ignoreCase: true };
+  for (let k = 0; k < 300; k++) {
+    const text = randomString(rand, randomInt(rand, 40), "abAB");
+    check(text, randomString(rand, 1 + randomInt(rand, 5), "abAB"), options);
+  }
+  check("ſtraſse STRASSE", "s", options);
+});
+
+test("wildcards: KMP's compatible borders and every BM shift rule agree with the reference search", () => {
+  const rand = createRandom(37);
+  for (const ignoreCase of [false, true]) {
+    const options = { ...EXACT, wildcard: true, ignoreCase };
+    for (let k = 0; k < 400; k++) {
+      // '?' in the text is an ordinary character; only the pattern's match anything
+      const text = randomString(rand, randomInt(rand, 40), "abA?");
+      check(text, randomString(rand, 1 + randomInt(rand, 6), "abA??"), options);
+    }
+    check("aaaaaaaaaa", "a??a", options);
+    check("abababab", "?b?b", options);
+    check("ab?ab", "???", options);
+  }
+});
+
+test("naiveCounter counts the same in slices as in one go", () => {
+  const rand = createRandom(11);
+  for (let k = 0; k < 200; k++) {
+    const text = randomString(rand, randomInt(rand, 80), "ab");
+    const pattern = randomString(rand, 1 + randomInt(rand, 5), "ab");
+    const counter = naiveCounter(text, pattern);
+    while (!counter.scan(0));
+    assert.equal(counter.count, naiveComparisons(text, pattern), `text "${text}", pattern "${pattern}"`);
+  }
+});
+
+test("sliced step searches agree with the synchronous ones", async () => {
+  const { steps } = BUILDERS.KMP("abaababaabaababaab", "abab", EXACT);
+  for (let from = 0; from < steps.length; from++) {
+    for (const kind of ["match", "mismatch", "shift"]) {
+      assert.equal(await findNextStepInSlices(steps, from, kind, undefined, 0), findNextStep(steps, from, kind));
+    }
+    const compares = step => step.lastComparison?.textIndex === from % 18;
+    assert.equal(await findStepInSlices(steps, compares, from, undefined, 0), findStep(steps, compares, from));
+  }
+  // a stopped search gives up at the end of its slice
+  const long = BUILDERS.KMP("a".repeat(2000), "ab", EXACT).steps;
+  assert.equal(await findStepInSlices(long, () => false, 0, { stopped: true }, 0), null);
+});
+
+test("measureCounter counts the same in slices as traceStats", () => {
+  const rand = createRandom(13);
+  for (let k = 0; k < 100; k++) {
+    const text = randomString(rand, randomInt(rand, 80), "ab");
+    const pattern = randomString(rand, 1 + randomInt(rand, 5), "ab");
+    for (const [id, trace] of Object.entries(TRACES)) {
+      const counter = measureCounter({ trace }, text, pattern, EXACT);
+      while (!counter.scan(0));
+      const { comparisons, shifts } = traceStats(BUILDERS[id](text, pattern, EXACT).steps);
+      assert.deepEqual([counter.comparisons, counter.shifts], [comparisons, shifts], `${id} on text "${text}", pattern "${pattern}"`);
+    }
+  }
+});
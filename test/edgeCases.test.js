@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILDERS, validateInputs, buildKMPSteps } from "../src/core/index.js";
+
+// builders that end a search with no possible alignment in one step (trivialTrace)
+const SINGLE_PATTERN = ["KMP", "BM", "RK", "Z", "NAIVE"];
+
+test("an empty pattern is a validation error", () => {
+  const issues = validateInputs("abc", "");
+  assert.ok(issues.some(issue => issue.level === "error" && issue.field === "pattern"));
+  assert.ok(!validateInputs("abc", "a").some(issue => issue.level === "error"));
+});
+
+test("a pattern longer than the text warns and ends in a single done step with a window", () => {
+  const issues = validateInputs("ab", "abcd");
+  assert.deepEqual(issues.map(issue => [issue.level, issue.field]), [["warning", "pattern"]]);
+  for (const id of SINGLE_PATTERN) {
+    const { steps, matches } = BUILDERS[id]("ab", "abcd");
+    assert.deepEqual(matches, [], id);
+    assert.equal(steps.length, 1, `${id} has a single step`);
+    const [done] = steps;
+    assert.equal(done.type, "done", id);
+    assert.equal(done.windowStart, 0, id);
+    assert.equal(done.windowEnd, 3, id);
+  }
+});
+
+test("KMP's j=0 -> i++ steps carry the window they move to", () => {
+  const { steps } = buildKMPSteps("xxabxab", "ab");
+  const advances = steps.filter(step => step.shift?.reason === "advance");
+  assert.ok(advances.length > 0);
+  for (const step of advances) {
+    assert.equal(step.windowStart, step.shift.to);
+    assert.equal(step.windowEnd, step.shift.to + 1);
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+import { SANDBOX_EXAMPLES, recordCalls, sandboxTrace, verifyMatches, referenceMatches, createRandom, randomInt, randomString } from "../src/core/index.js";
+import { workerScript, frameHTML } from "../src/sandboxFrame.js";
+
+test("the call limit ends the run and sets truncated", () => {
+  const { calls, error, truncated } = recordCalls("while (true) compare(0, 0);", "ab", "a", undefined, 50);
+  assert.equal(calls.length, 50);
+  assert.equal(error, null);
+  assert.equal(truncated, true);
+  // catching the limit in user code does not hide it
+  const caught = recordCalls("for (;;) { try { compare(0, 0); } catch { break; } }", "ab", "a", undefined, 10);
+  assert.equal(caught.truncated, true);
+  const { steps } = sandboxTrace(calls, "ab", "a", { truncated });
+  assert.equal(steps.at(-1).summary, "Call limit reached");
+});
+
+test("out-of-range arguments are RangeErrors", () => {
+  const cases = [
+    ["compare(2, 0)", "compare: text index"],
+    ["compare(0, 1)", "compare: pattern index"],
+    ["compare(-1, 0)", "compare: text index"],
+    ["compare(0.5, 0)", "compare: text index"],
+    ["shift(3)", "shift: window start"],
+    ["report(2)", "report: match start"],
+    ["report('0')", "report: match start"]
+  ];
+  for (const [code, name] of cases) {
+    const { error, truncated } = recordCalls(code, "ab", "a");
+    assert.match(error, new RegExp(`^RangeError: ${name} must be an integer`), code);
+    assert.equal(truncated, false);
+  }
+  assert.equal(recordCalls("compare(1, 0); shift(2); report(1);", "ab", "a").error, null);
+  assert.match(recordCalls("throw new TypeError('nope')", "ab", "a").error, /^TypeError: nope$/);
+});
+
+test("reports are sorted into correct, missing, extra and repeated", () => {
+  const text = "abaaba", pattern = "aba"; // occurs at 0 and 3
+  assert.deepEqual(verifyMatches([0, 3], text, pattern), { expected: [0, 3], correct: [0, 3], missing: [], extra: [], repeated: [], ok: true });
+  assert.deepEqual(verifyMatches([3, 1, 3, 2, 1], text, pattern), { expected: [0, 3], correct: [3], missing: [0], extra: [1, 2], repeated: [1, 3], ok: false });
+  // repeats alone still verify
+  assert.equal(verifyMatches([0, 0, 3], text, pattern).ok, true);
+
+  const { calls } = recordCalls("report(0); report(1); report(0);", text, pattern);
+  const { steps, matches } = sandboxTrace(calls, text, pattern);
+  assert.deepEqual(matches, [0, 1]);
+  assert.deepEqual(steps.filter(step => step.type === "found").map(step => step.summary), ["Reported 0", "Reported 1 (not an occurrence)", "Reported 0"]);
+});
+
+test("both examples verify on random inputs", () => {
+  const rand = createRandom(3);
+  for (const example of SANDBOX_EXAMPLES) {
+    for (let k = 0; k < 150; k++) {
+      const text = randomString(rand, randomInt(rand, 40), "abc");
+      const pattern = randomString(rand, 1 + randomInt(rand, 5), "abc");
+      const { calls, error, truncated } = recordCalls(example.code, text, pattern);
+      const label = `${example.id} on text "${text}", pattern "${pattern}"`;
+      assert.equal(error, null, label);
+      assert.equal(truncated, false, label);
+      const reported = calls.filter(call => call.op === "report").map(call => call.at);
+      assert.equal(verifyMatches(reported, text, pattern).ok, true, label);
+      assert.deepEqual(sandboxTrace(calls, text, pattern).matches, referenceMatches(text, pattern), label);
+    }
+  }
+});
+
+// the browser's worker script, run in a context standing in for the worker's global scope
+async function runWorker(fetch, data) {
+  const read = path => readFileSync(new URL(path, import.meta.url), "utf8");
+  const source = workerScript(["../src/core/options.js", "../src/core/trace.js", "../src/core/sandbox.js"].map(read), read("../src/sandboxWorker.js"));
+  const sent = [];
+  const scope = vm.createContext({ fetch, postMessage: message => sent.push(message) });
+  scope.self = scope;
+  vm.runInContext(source, scope);
+  await scope.onmessage({ data });
+  assert.equal(sent.length, 1);
+  return sent[0];
+}
+
+const blocked = () => Promise.reject(new TypeError("Failed to fetch"));
+
+test("the worker only runs once fetch and import() have failed", async () => {
+  // import() of a data: URL fails here too, as under the frame's policy
+  const run = await runWorker(blocked, { code: "report(1); compare(0, 0);", text: "aab", pattern: "ab", maxCalls: 10 });
+  assert.equal(run.error, null);
+  assert.equal(run.calls.map(call => call.op).join(), "report,compare");
+  const refused = await runWorker(() => Promise.resolve({}), { code: "report(0);", text: "a", pattern: "a", maxCalls: 10 });
+  assert.equal(refused.calls.length, 0);
+  assert.match(refused.error, /^Sandbox isolation is unavailable/);
+  // the network globals are gone inside a run
+  for (const name of ["fetch", "XMLHttpRequest", "importScripts"]) {
+    const { error } = await runWorker(blocked, { code: `${name}("x");`, text: "a", pattern: "a", maxCalls: 10 });
+    assert.match(error, /^TypeError: /, name);
+  }
+});
+
+test("the frame allows only its own script and blob: workers", () => {
+  const html = frameHTML('send("</script><script>alert(1)</script>")', "abc123");
+  assert.match(html, /content="default-src 'none'; script-src 'nonce-abc123' blob: 'unsafe-eval'; worker-src blob:"/);
+  assert.equal(html.match(/<script/g).length, 1);
+  assert.equal(html.match(/<\/script>/g).length, 1);
+});
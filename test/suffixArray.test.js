@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSuffixIndex, querySuffixIndex, referenceMatches, createRandom, randomInt, randomString } from "../src/core/index.js";
+
+// suffix start positions in sorted order, by sorting the suffix strings
+function sortedSuffixes(text) {
+  return Array.from({ length: text.length }, (_, i) => i).sort((a, b) => (text.slice(a) < text.slice(b) ? -1 : 1));
+}
+
+function commonPrefix(a, b) {
+  let h = 0;
+  while (h < a.length && h < b.length && a[h] === b[h]) h++;
+  return h;
+}
+
+function checkIndex(text) {
+  const index = buildSuffixIndex(text);
+  assert.deepEqual(index.sa, sortedSuffixes(text), `sa of "${text}"`);
+  index.sa.forEach((p, r) => {
+    assert.equal(index.rank[p], r, `rank of suffix ${p} in "${text}"`);
+    const expected = r === 0 ? 0 : commonPrefix(text.slice(index.sa[r - 1]), text.slice(p));
+    assert.equal(index.lcp[r], expected, `lcp[${r}] of "${text}"`);
+  });
+  assert.equal(index.steps.at(-1).type, "done");
+  return index;
+}
+
+function checkQuery(index, text, pattern) {
+  const result = querySuffixIndex(index, text, pattern);
+  const label = `text "${text}", pattern "${pattern}"`;
+  assert.deepEqual(result.matches, referenceMatches(text, pattern), label);
+  const [first, last] = result.range;
+  assert.equal(last - first, result.matches.length, label);
+  assert.equal(result.steps.at(-1).type, "sa-range", label);
+  assert.equal(result.steps.filter(step => step.lastComparison).length, result.comparisons, label);
+}
+
+test("the suffix array, ranks and LCP match the sorted suffixes", () => {
+  const rand = createRandom(5);
+  for (const alphabet of ["a", "ab", "abcd"]) {
+    for (let k = 0; k < 60; k++) checkIndex(randomString(rand, randomInt(rand, 50), alphabet));
+  }
+  checkIndex("");
+  checkIndex("banana");
+  checkIndex("mississippi");
+});
+
+test("queries find the same occurrences as the reference search", () => {
+  const rand = createRandom(17);
+  for (const alphabet of ["a", "ab", "abc"]) {
+    for (let k = 0; k < 40; k++) {
+      const text = randomString(rand, 1 + randomInt(rand, 40), alphabet);
+      const index = buildSuffixIndex(text);
+      for (let q = 0; q < 8; q++) {
+        const start = randomInt(rand, text.length);
+        checkQuery(index, text, text.slice(start, start + 1 + randomInt(rand, 6)));
+        checkQuery(index, text, randomString(rand, 1 + randomInt(rand, 5), alphabet));
+      }
+    }
+  }
+});
+
+test("patterns longer than the text, or running past the end of a suffix", () => {
+  const text = "abaababa";
+  const index = buildSuffixIndex(text);
+  checkQuery(index, text, "abaababaa"); // longer than the text
+  checkQuery(index, text, "abaababab");
+  checkQuery(index, text, "abab"); // runs past the suffix "aba"
+  checkQuery(index, text, "bab");
+  checkQuery(index, text, "aa");
+  checkQuery(index, text, "baz");
+  checkQuery(buildSuffixIndex("aaaa"), "aaaa", "aaaaa");
+  checkQuery(buildSuffixIndex("a"), "a", "ab");
+});
@@ -1,10 +1,13 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig({ 
+export default defineConfig(({ command, isPreview }) => ({ 
   plugins: [react()], 
+  // gh-pages serves the build from /Pattern_Matching_Visualizer/ (see "homepage" in package.json);
+  // `vite preview` resolves as "serve", so it needs the same base to find the built assets
+  base: command === 'build' || isPreview ? '/Pattern_Matching_Visualizer/' : '/',
   server: { 
     port: 5173, 
     open: true 
   } 
-});
+}));